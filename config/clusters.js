@@ -1,20 +1,30 @@
 // config/clusters.js
-const clusters = {
-    "CLUSTER_1": {
-        url: process.env.CLUSTER_1_URL,
-        username: process.env.CLUSTER_1_USERNAME,
-        password: process.env.CLUSTER_1_PASSWORD
-    },
-    "CLUSTER_2": {
-        url: process.env.CLUSTER_2_URL,
-        username: process.env.CLUSTER_2_USERNAME,
-        password: process.env.CLUSTER_2_PASSWORD
+const fromEnv = prefix => ({
+    url: process.env[`${prefix}_URL`],
+    username: process.env[`${prefix}_USERNAME`],
+    password: process.env[`${prefix}_PASSWORD`],
+    notifications: process.env[`${prefix}_NOTIFICATIONS`]?.split(','),
+    watch: process.env[`${prefix}_WATCH`],
+    timeout: process.env[`${prefix}_TIMEOUT`],
+    pollInterval: process.env[`${prefix}_POLL_INTERVAL`],
+    maxSockets: process.env[`${prefix}_MAX_SOCKETS`],
+    auth: {
+        type: process.env[`${prefix}_AUTH_TYPE`],
+        token: process.env[`${prefix}_TOKEN`],
+        tokenFile: process.env[`${prefix}_TOKEN_FILE`]
     },
-    "CLUSTER_TEST": {
-        url: process.env.CLUSTER_TEST_URL,
-        username: process.env.CLUSTER_TEST_USERNAME,
-        password: process.env.CLUSTER_TEST_PASSWORD
+    tls: {
+        caFile: process.env[`${prefix}_CA_FILE`],
+        certFile: process.env[`${prefix}_CERT_FILE`],
+        keyFile: process.env[`${prefix}_KEY_FILE`],
+        insecure: process.env[`${prefix}_INSECURE_SKIP_VERIFY`] === 'true'
     }
+});
+
+const clusters = {
+    "CLUSTER_1": fromEnv('CLUSTER_1'),
+    "CLUSTER_2": fromEnv('CLUSTER_2'),
+    "CLUSTER_TEST": fromEnv('CLUSTER_TEST')
 };
 
-module.exports = clusters;
\ No newline at end of file
+module.exports = clusters;
@@ -1,18 +1,174 @@
 // config/config.js
+const path = require('path');
 const clusters = require('./clusters');
 
+// Channels come from the dedicated variables below plus any extra JSON definitions in NOTIFICATION_CHANNELS
+const notificationChannels = () => {
+    const channels = [];
+
+    if (process.env.SLACK_WEBHOOK_URL) {
+        channels.push({ name: 'slack', type: 'slack', webhookUrl: process.env.SLACK_WEBHOOK_URL });
+    }
+    if (process.env.WEBHOOK_URL) {
+        channels.push({ name: 'webhook', type: 'webhook', url: process.env.WEBHOOK_URL });
+    }
+    if (process.env.TEAMS_WEBHOOK_URL) {
+        channels.push({ name: 'teams', type: 'teams', webhookUrl: process.env.TEAMS_WEBHOOK_URL });
+    }
+    if (process.env.SMTP_HOST) {
+        channels.push({
+            name: 'email',
+            type: 'email',
+            host: process.env.SMTP_HOST,
+            port: process.env.SMTP_PORT,
+            secure: process.env.SMTP_SECURE,
+            user: process.env.SMTP_USER,
+            password: process.env.SMTP_PASSWORD,
+            from: process.env.ALERT_EMAIL_FROM || 'argovisor@localhost',
+            to: process.env.ALERT_EMAIL_TO
+        });
+    }
+    if (process.env.PAGERDUTY_ROUTING_KEY) {
+        channels.push({
+            name: 'pagerduty',
+            type: 'pagerduty',
+            routingKey: process.env.PAGERDUTY_ROUTING_KEY,
+            url: process.env.PAGERDUTY_EVENTS_URL
+        });
+    }
+    if (process.env.NOTIFICATION_CHANNELS) {
+        channels.push(...JSON.parse(process.env.NOTIFICATION_CHANNELS));
+    }
+
+    return channels;
+};
+
+// Daily and weekly digests from their cron variables plus any extra JSON definitions in REPORTS
+const digestReports = () => {
+    const channels = process.env.REPORT_CHANNELS ?
+        process.env.REPORT_CHANNELS.split(',').map(name => name.trim()) :
+        null;
+    const reports = [];
+
+    if (process.env.DAILY_REPORT_CRON) {
+        reports.push({ name: 'daily', schedule: process.env.DAILY_REPORT_CRON, period: '1d', channels });
+    }
+    if (process.env.WEEKLY_REPORT_CRON) {
+        reports.push({ name: 'weekly', schedule: process.env.WEEKLY_REPORT_CRON, period: '7d', channels });
+    }
+    if (process.env.REPORTS) {
+        reports.push(...JSON.parse(process.env.REPORTS));
+    }
+
+    return reports;
+};
+
 const config = {
     server: {
         port: process.env.PORT || 3000,
         cors: {
             origin: '*',
-            methods: ['GET', 'POST'],
+            methods: ['GET', 'POST', 'PUT', 'DELETE'],
             credentials: true
         }
     },
     clusters,
+    clusterRegistry: {
+        file: process.env.CLUSTERS_FILE,
+        directory: process.env.CLUSTERS_DIR,
+        defaults: clusters
+    },
     slack: {
         webhookUrl: process.env.SLACK_WEBHOOK_URL,
+    },
+    notifications: {
+        argovisorUrl: process.env.ARGOVISOR_URL || 'http://localhost:3000',
+        channels: notificationChannels()
+    },
+    alerts: {
+        file: process.env.ALERT_RULES_FILE,
+        rules: process.env.ALERT_RULES ? JSON.parse(process.env.ALERT_RULES) : undefined,
+        unreachableAfter: Number(process.env.CLUSTER_UNREACHABLE_AFTER) || 3,
+        unreachableSeverity: process.env.CLUSTER_UNREACHABLE_SEVERITY || 'critical',
+        operationGrace: process.env.ALERT_OPERATION_GRACE
+    },
+    // EXCLUDED_APPS is kept as a shorthand for excluding applications by name
+    filters: {
+        file: process.env.APP_FILTERS_FILE,
+        rules: process.env.APP_FILTERS ? JSON.parse(process.env.APP_FILTERS) : undefined,
+        excludedApps: process.env.EXCLUDED_APPS ? process.env.EXCLUDED_APPS.split(',').map(name => name.trim()) : undefined
+    },
+    auth: {
+        disabled: process.env.AUTH_DISABLED === 'true',
+        apiKeys: process.env.API_KEYS ? JSON.parse(process.env.API_KEYS) : [],
+        apiKeysFile: process.env.API_KEYS_FILE,
+        jwt: {
+            jwksFile: process.env.AUTH_JWKS_FILE,
+            jwksUrl: process.env.AUTH_JWKS_URL,
+            issuer: process.env.AUTH_JWT_ISSUER,
+            audience: process.env.AUTH_JWT_AUDIENCE,
+            roleClaim: process.env.AUTH_JWT_ROLE_CLAIM || 'roles',
+            clustersClaim: process.env.AUTH_JWT_CLUSTERS_CLAIM || 'clusters',
+            roleMap: process.env.AUTH_JWT_ROLE_MAP ? JSON.parse(process.env.AUTH_JWT_ROLE_MAP) : {},
+            defaultRole: process.env.AUTH_JWT_DEFAULT_ROLE,
+            defaultClusters: process.env.AUTH_JWT_DEFAULT_CLUSTERS,
+            maxTokenAge: Number(process.env.AUTH_JWT_MAX_AGE) || null
+        }
+    },
+    // HISTORY_FILE alone keeps working: it selects the file backend and names the history log
+    storage: {
+        backend: process.env.STORAGE_BACKEND || (process.env.HISTORY_FILE ? 'file' : 'memory'),
+        directory: process.env.STORAGE_DIR ||
+            (process.env.HISTORY_FILE ? path.dirname(process.env.HISTORY_FILE) : './data'),
+        logs: { history: process.env.HISTORY_FILE },
+        sqlitePath: process.env.SQLITE_PATH || './data/argovisor.db',
+        redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+        prefix: process.env.STORAGE_PREFIX || 'argovisor:'
+    },
+    watch: {
+        enabled: process.env.WATCH_MODE === 'true',
+        resyncInterval: Number(process.env.WATCH_RESYNC_INTERVAL) || 600000
+    },
+    // Unset numbers fall back to the monitor defaults; 0 retries or a 0 threshold disable them
+    polling: {
+        concurrency: Number(process.env.POLL_CONCURRENCY) || 5,
+        timeout: Number(process.env.REQUEST_TIMEOUT) || 30000,
+        retries: process.env.REQUEST_RETRIES ? Number(process.env.REQUEST_RETRIES) : undefined,
+        retryDelay: Number(process.env.RETRY_BASE_DELAY) || 500,
+        retryMaxDelay: Number(process.env.RETRY_MAX_DELAY) || 10000,
+        deadline: Number(process.env.POLL_DEADLINE) || 120000,
+        circuitBreaker: {
+            threshold: process.env.CIRCUIT_BREAKER_THRESHOLD ? Number(process.env.CIRCUIT_BREAKER_THRESHOLD) : undefined,
+            cooldown: Number(process.env.CIRCUIT_BREAKER_COOLDOWN) || 60000,
+            maxCooldown: Number(process.env.CIRCUIT_BREAKER_MAX_COOLDOWN) || 600000
+        }
+    },
+    leaderElection: {
+        id: process.env.INSTANCE_ID,
+        leaseMs: Number(process.env.LEADER_LEASE) || 30000
+    },
+    compare: {
+        label: process.env.COMPARE_LABEL || null
+    },
+    deployments: {
+        notify: process.env.DEPLOY_NOTIFICATIONS === 'true',
+        channels: process.env.DEPLOY_CHANNELS ? process.env.DEPLOY_CHANNELS.split(',').map(name => name.trim()) : null
+    },
+    reports: {
+        timezone: process.env.REPORT_TIMEZONE,
+        reports: digestReports()
+    },
+    audit: {
+        retentionDays: Number(process.env.AUDIT_RETENTION_DAYS) || 90
+    },
+    logging: {
+        format: process.env.LOG_FORMAT || 'text'
+    },
+    // Where the memory backend keeps the status history, deployments and audit log
+    history: {
+        retentionDays: Number(process.env.HISTORY_RETENTION_DAYS) || 30,
+        directory: process.env.STORAGE_DIR || './data',
+        file: process.env.HISTORY_FILE
     }
 };
 
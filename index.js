@@ -1,33 +1,83 @@
 require('dotenv').config();
 const config = require('./config/config');
-const app = require('./src/services/ArgoCDApi');
-
-// Error handling
-process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    process.exit(1);
-});
-
-process.on('unhandledRejection', (error) => {
-    console.error('Unhandled Rejection:', error);
-});
-
-process.on('SIGTERM', () => {
-    console.info('SIGTERM signal received.');
-    console.info('Closing HTTP server...');
-    process.exit(0);
-});
-
-process.on('SIGINT', () => {
-    console.info('SIGINT signal received.');
-    console.info('Closing HTTP server...');
-    process.exit(0);
-});
-
-// Startup logging
-console.info(`ArgoVisor Backend starting...`);
-console.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-console.info(`Listening on port: ${process.env.PORT || 3000}`);
-console.info(`Number of clusters configured: ${Object.keys(config.clusters).length}`);
-
-module.exports = app;
\ No newline at end of file
+const { createApp, createMonitor } = require('./src/services/ArgoVisorApi');
+const { configureLogging } = require('./src/utils/logger');
+
+// How long in-flight requests and the running refresh may take before the process exits anyway
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT) || 10000;
+
+// Serves the API and starts the monitor; stop() drains the HTTP server, then stops the monitor
+function start(options = {}) {
+    const port = options.port ?? process.env.PORT ?? config.server.port;
+    const { monitor, registry } = createMonitor(config);
+    console.info(`Number of clusters configured: ${Object.keys(monitor.clusters).length}`);
+    const app = createApp({ monitor, registry });
+
+    const server = app.listen(port, () => {
+        console.info(`API server running on port ${port}`);
+    });
+    monitor.start().catch(error => {
+        console.error('Monitor failed to start:', error);
+    });
+
+    let stopping = null;
+    const stop = () => {
+        if (!stopping) {
+            stopping = (async () => {
+                console.info('Closing HTTP server...');
+                const closed = new Promise(resolve => server.close(resolve));
+                // Event streams never end on their own and idle keep-alive sockets would hold close() open
+                app.locals.eventStream.close();
+                if (server.closeIdleConnections) server.closeIdleConnections();
+                await closed;
+                console.info('HTTP server closed');
+                await monitor.stop();
+            })();
+        }
+        return stopping;
+    };
+
+    return { app, server, monitor, stop };
+}
+
+function shutdown(signal, instance) {
+    console.info(`${signal} signal received.`);
+    const timer = setTimeout(() => {
+        console.error(`Shutdown did not finish within ${SHUTDOWN_TIMEOUT}ms, exiting`);
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT);
+    timer.unref();
+
+    instance.stop().then(() => process.exit(0), error => {
+        console.error('Shutdown failed:', error);
+        process.exit(1);
+    });
+}
+
+if (require.main === module) {
+    configureLogging(config.logging);
+
+    // Error handling
+    process.on('uncaughtException', (error) => {
+        console.error('Uncaught Exception:', error);
+        process.exit(1);
+    });
+
+    process.on('unhandledRejection', (error) => {
+        console.error('Unhandled Rejection:', error);
+    });
+
+    // Startup logging
+    console.info(`ArgoVisor Backend starting...`);
+    console.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    const instance = start();
+    process.on('SIGTERM', () => shutdown('SIGTERM', instance));
+    process.on('SIGINT', () => shutdown('SIGINT', instance));
+}
+
+module.exports = {
+    start,
+    createApp,
+    createMonitor
+};
@@ -0,0 +1,34 @@
+// src/auth/ApiKeyAuthenticator.js
+
+const crypto = require('crypto');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest();
+
+// Static API keys; a key can be configured in clear text (`key`) or as its SHA-256 hex digest (`keyHash`)
+class ApiKeyAuthenticator {
+    constructor(keys = [], normalizeUser) {
+        this.keys = keys.map((entry, index) => {
+            if (!entry.key && !entry.keyHash) {
+                throw new Error(`API key ${entry.name || index} needs a key or keyHash`);
+            }
+            return {
+                hash: entry.keyHash ? Buffer.from(entry.keyHash, 'hex') : sha256(entry.key),
+                user: normalizeUser({
+                    name: entry.name || `api-key-${index + 1}`,
+                    role: entry.role || 'viewer',
+                    clusters: entry.clusters
+                }, 'api-key')
+            };
+        });
+    }
+
+    authenticate(token) {
+        const hash = sha256(token);
+        const match = this.keys.find(entry =>
+            entry.hash.length === hash.length && crypto.timingSafeEqual(entry.hash, hash)
+        );
+        return match ? match.user : null;
+    }
+}
+
+module.exports = ApiKeyAuthenticator;
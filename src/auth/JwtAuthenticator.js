@@ -0,0 +1,146 @@
+// src/auth/JwtAuthenticator.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+
+const CLOCK_SKEW = 60;
+const JWKS_REFRESH_INTERVAL = 60 * 1000;
+
+// Signature algorithms accepted for bearer tokens, with the digest and key type each needs
+const ALGORITHMS = {
+    RS256: { digest: 'sha256', keyType: 'rsa' },
+    RS384: { digest: 'sha384', keyType: 'rsa' },
+    RS512: { digest: 'sha512', keyType: 'rsa' },
+    ES256: { digest: 'sha256', keyType: 'ec' },
+    ES384: { digest: 'sha384', keyType: 'ec' },
+    ES512: { digest: 'sha512', keyType: 'ec' },
+    EdDSA: { digest: null, keyType: 'ed25519' }
+};
+
+const unauthorized = message => Object.assign(new Error(message), { status: 401 });
+
+const decode = part => JSON.parse(Buffer.from(part, 'base64url').toString());
+
+const asList = value => {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim());
+};
+
+// Validates OIDC/JWT bearer tokens against a JWKS read from a file, a URL or the issuer's discovery document
+class JwtAuthenticator {
+    constructor(options = {}, normalizeUser) {
+        this.jwksFile = options.jwksFile;
+        this.jwksUrl = options.jwksUrl;
+        this.issuer = options.issuer;
+        this.audience = options.audience;
+        this.roleClaim = options.roleClaim || 'roles';
+        this.clustersClaim = options.clustersClaim || 'clusters';
+        this.roleMap = options.roleMap || {};
+        this.defaultRole = options.defaultRole;
+        // Clusters of tokens without the clusters claim: none unless configured, `*` for every cluster
+        this.defaultClusters = asList(options.defaultClusters).filter(Boolean);
+        // Longest remaining lifetime in ms a token may have, so leaked long-lived tokens are refused
+        this.maxTokenAge = Number(options.maxTokenAge) || null;
+        this.normalizeUser = normalizeUser;
+        this.keys = null;
+        this.loadedAt = 0;
+    }
+
+    get enabled() {
+        return Boolean(this.jwksFile || this.jwksUrl || this.issuer);
+    }
+
+    async resolveJwksUrl() {
+        if (this.jwksUrl) return this.jwksUrl;
+        const discovery = await axios.get(`${this.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+        this.jwksUrl = discovery.data.jwks_uri;
+        return this.jwksUrl;
+    }
+
+    async loadKeys() {
+        const jwks = this.jwksFile ?
+            JSON.parse(await fs.promises.readFile(this.jwksFile, 'utf8')) :
+            (await axios.get(await this.resolveJwksUrl())).data;
+
+        this.keys = new Map();
+        (jwks.keys || []).forEach((jwk, index) => {
+            if (jwk.use === 'enc') return;
+            try {
+                this.keys.set(jwk.kid || `key-${index}`, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            } catch (error) {
+                console.warn(`JWKS key ${jwk.kid || index} skipped: ${error.message}`);
+            }
+        });
+        this.loadedAt = Date.now();
+    }
+
+    // Unknown key ids reload the key set, at most once a minute, so rotated keys are picked up
+    async getKey(kid) {
+        const stale = Date.now() - this.loadedAt > JWKS_REFRESH_INTERVAL;
+        if (!this.keys || (stale && (!kid || !this.keys.has(kid)))) {
+            await this.loadKeys();
+        }
+
+        if (kid) return this.keys.get(kid) || null;
+        return this.keys.size === 1 ? [...this.keys.values()][0] : null;
+    }
+
+    async verify(token) {
+        const [encodedHeader, encodedPayload, signature] = token.split('.');
+        let header;
+        let payload;
+        try {
+            header = decode(encodedHeader);
+            payload = decode(encodedPayload);
+        } catch (error) {
+            throw unauthorized('Malformed token');
+        }
+
+        const algorithm = ALGORITHMS[header.alg];
+        if (!algorithm) throw unauthorized(`Unsupported token algorithm ${header.alg}`);
+
+        const key = await this.getKey(header.kid);
+        if (!key || key.asymmetricKeyType !== algorithm.keyType) throw unauthorized('Unknown signing key');
+
+        const valid = crypto.verify(
+            algorithm.digest,
+            Buffer.from(`${encodedHeader}.${encodedPayload}`),
+            algorithm.keyType === 'ec' ? { key, dsaEncoding: 'ieee-p1363' } : key,
+            Buffer.from(signature || '', 'base64url')
+        );
+        if (!valid) throw unauthorized('Invalid token signature');
+
+        const now = Math.floor(Date.now() / 1000);
+        if (typeof payload.exp !== 'number') throw unauthorized('Token has no expiry');
+        if (now > payload.exp + CLOCK_SKEW) throw unauthorized('Token expired');
+        if (this.maxTokenAge && (payload.exp - now) * 1000 > this.maxTokenAge) {
+            throw unauthorized('Token is valid for too long');
+        }
+        if (payload.nbf !== undefined && now < payload.nbf - CLOCK_SKEW) throw unauthorized('Token not yet valid');
+        if (this.issuer && payload.iss !== this.issuer) throw unauthorized('Unexpected token issuer');
+        if (this.audience && !asList(payload.aud).includes(this.audience)) throw unauthorized('Unexpected token audience');
+
+        return payload;
+    }
+
+    // Claim values are role names or groups mapped to roles through roleMap; the highest role wins
+    async authenticate(token, highestRole) {
+        const payload = await this.verify(token);
+        const roles = asList(payload[this.roleClaim]).map(value => this.roleMap[value] || value);
+        const role = highestRole(roles) || this.defaultRole;
+        if (!role) {
+            throw Object.assign(new Error('Token grants no ArgoVisor role'), { status: 403 });
+        }
+
+        const claim = payload[this.clustersClaim];
+        const clusters = claim === undefined ? this.defaultClusters : asList(claim);
+        return this.normalizeUser({
+            name: payload.preferred_username || payload.email || payload.sub,
+            role,
+            clusters: clusters.includes('*') ? null : clusters
+        }, 'jwt');
+    }
+}
+
+module.exports = JwtAuthenticator;
@@ -0,0 +1,128 @@
+// src/auth/index.js
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const ApiKeyAuthenticator = require('./ApiKeyAuthenticator');
+const JwtAuthenticator = require('./JwtAuthenticator');
+const { matchPattern } = require('../utils/matchers');
+
+// Ordered from least to most privileged; every role includes the ones before it
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const ANONYMOUS = { name: 'anonymous', role: 'admin', clusters: null, type: 'none' };
+
+const deny = (res, status, message) => {
+    if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+    return res.status(status).json({ error: message });
+};
+
+const highestRole = roles => ROLES.filter(role => roles.includes(role)).pop() || null;
+
+// Clusters are names or patterns as in alert rules; null grants every cluster
+function normalizeUser({ name, role, clusters }, type) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role ${role} for ${name}; use one of ${ROLES.join(', ')}`);
+    }
+    return {
+        name,
+        role,
+        clusters: clusters === undefined || clusters === null ? null : [].concat(clusters),
+        type
+    };
+}
+
+const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+const canAccessCluster = (user, cluster) =>
+    !user.clusters || (user.clusters.length > 0 && matchPattern(user.clusters, cluster));
+
+// A cluster matcher (of a silence) is within scope when it only names clusters the user can access
+const canAccessClusterMatcher = (user, pattern) => {
+    if (!user.clusters) return true;
+    const values = [].concat(pattern ?? []);
+    return values.length > 0 && values.every(value =>
+        /^[\w.-]+$/.test(value) && canAccessCluster(user, value)
+    );
+};
+
+function loadApiKeys(options) {
+    if (options.apiKeysFile) {
+        return yaml.load(fs.readFileSync(options.apiKeysFile, 'utf8')) || [];
+    }
+    return options.apiKeys || [];
+}
+
+// Bearer tokens that look like JWTs are validated against the JWKS, anything else is an API key.
+// EventSource cannot send headers, so /events also accepts ?access_token=.
+function createAuth(options = {}) {
+    if (options.disabled) {
+        console.warn('API authentication disabled - every request has admin rights');
+        return (req, res, next) => {
+            req.user = ANONYMOUS;
+            next();
+        };
+    }
+
+    const apiKeys = new ApiKeyAuthenticator(loadApiKeys(options), normalizeUser);
+    const jwt = new JwtAuthenticator(options.jwt, normalizeUser);
+    console.log(`API authentication enabled - ${apiKeys.keys.length} API keys, JWT ${jwt.enabled ? 'enabled' : 'disabled'}`);
+    if (apiKeys.keys.length === 0 && !jwt.enabled) {
+        console.warn('No API keys or JWKS configured - every authenticated route will answer 401');
+    }
+
+    return async (req, res, next) => {
+        const header = req.get('Authorization') || '';
+        const token = (/^Bearer\s+(.+)$/i.exec(header) || [])[1] ||
+            req.get('X-API-Key') ||
+            (req.path === '/events' ? req.query.access_token : undefined);
+
+        if (!token) return deny(res, 401, 'Authentication required');
+
+        try {
+            const isJwt = token.split('.').length === 3 && jwt.enabled;
+            const user = isJwt ?
+                await jwt.authenticate(token, highestRole) :
+                apiKeys.authenticate(token);
+            if (!user) return deny(res, 401, 'Invalid API key');
+
+            req.user = user;
+            next();
+        } catch (error) {
+            if (!error.status) console.error(`Authentication error: ${error.message}`);
+            deny(res, error.status || 401, error.status ? error.message : 'Authentication failed');
+        }
+    };
+}
+
+const requireRole = role => (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+        return deny(res, 403, `Requires the ${role} role`);
+    }
+    next();
+};
+
+// Guards routes naming a cluster in a path parameter
+const requireCluster = (param = 'cluster') => (req, res, next) => {
+    if (!canAccessCluster(req.user, req.params[param])) {
+        return deny(res, 403, `No access to cluster ${req.params[param]}`);
+    }
+    next();
+};
+
+// For actions spanning every cluster, such as a full refresh
+const requireAllClusters = (req, res, next) => {
+    if (req.user.clusters) {
+        return deny(res, 403, 'Requires access to all clusters');
+    }
+    next();
+};
+
+module.exports = {
+    ROLES,
+    createAuth,
+    requireRole,
+    requireCluster,
+    requireAllClusters,
+    canAccessCluster,
+    canAccessClusterMatcher
+};
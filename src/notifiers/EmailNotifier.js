@@ -0,0 +1,35 @@
+// src/notifiers/EmailNotifier.js
+
+const nodemailer = require('nodemailer');
+const { alertTitle, formatPlainText } = require('./format');
+
+class EmailNotifier {
+    constructor(name, options) {
+        this.name = name;
+        this.type = 'email';
+        this.from = options.from;
+        this.to = options.to;
+
+        if (!options.host || !this.to) {
+            throw new Error(`Notification channel ${name} requires a host and a recipient`);
+        }
+
+        this.transport = nodemailer.createTransport({
+            host: options.host,
+            port: Number(options.port) || 587,
+            secure: options.secure === true || options.secure === 'true',
+            auth: options.user ? { user: options.user, pass: options.password } : undefined
+        });
+    }
+
+    async send(alert) {
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: `[ArgoVisor] ${alertTitle(alert)}`,
+            text: formatPlainText(alert)
+        });
+    }
+}
+
+module.exports = EmailNotifier;
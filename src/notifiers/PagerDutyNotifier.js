@@ -0,0 +1,90 @@
+// src/notifiers/PagerDutyNotifier.js
+
+const { alertTitle, appUrl, isResolved, reasonSummary } = require('./format');
+
+const DEFAULT_EVENTS_URL = 'https://events.pagerduty.com/v2/enqueue';
+
+// Informational notifications that never open an incident
+const INFORMATIONAL_EVENTS = ['report', 'deploy'];
+
+class PagerDutyNotifier {
+    constructor(name, options, httpClient) {
+        this.name = name;
+        this.type = 'pagerduty';
+        this.routingKey = options.routingKey;
+        this.url = options.url || DEFAULT_EVENTS_URL;
+        this.severity = options.severity || null;
+        this.httpClient = httpClient;
+
+        if (!this.routingKey) {
+            throw new Error(`Notification channel ${name} requires a routingKey`);
+        }
+    }
+
+    accepts(alert) {
+        return !INFORMATIONAL_EVENTS.includes(alert.event);
+    }
+
+    // One incident per application and rule (or per unreachable cluster), resolved by an event with the same dedup key
+    incidents(alert) {
+        if (alert.event === 'unreachable' || alert.event === 'reachable') {
+            return [{
+                dedupKey: `argovisor-${alert.cluster}-${alert.rule}`,
+                summary: alertTitle(alert),
+                component: alert.cluster,
+                link: alert.clusterUrl,
+                details: {
+                    alertId: alert.alertId,
+                    error: alert.error,
+                    consecutiveFailures: alert.consecutiveFailures,
+                    lastSuccess: alert.lastSuccess
+                }
+            }];
+        }
+
+        return alert.apps.map(app => ({
+            dedupKey: `argovisor-${alert.cluster}-${app.name}-${alert.rule}`,
+            summary: `[${alert.cluster}] ${app.name}: ${reasonSummary(app)}`,
+            component: app.name,
+            link: alert.clusterUrl && appUrl(alert.clusterUrl, app),
+            details: {
+                alertId: app.alertId,
+                rule: alert.rule,
+                healthStatus: app.healthStatus,
+                syncStatus: app.syncStatus,
+                since: app.since,
+                reasons: app.reasons,
+                unhealthyResources: app.resources
+            }
+        }));
+    }
+
+    async send(alert) {
+        for (const incident of this.incidents(alert)) {
+            const event = {
+                routing_key: this.routingKey,
+                event_action: isResolved(alert) ? 'resolve' : 'trigger',
+                dedup_key: incident.dedupKey
+            };
+
+            if (!isResolved(alert)) {
+                event.payload = {
+                    summary: incident.summary,
+                    source: alert.clusterUrl || alert.cluster,
+                    severity: this.severity || alert.severity || 'error',
+                    timestamp: alert.timestamp,
+                    component: incident.component,
+                    group: alert.cluster,
+                    custom_details: incident.details
+                };
+                if (incident.link) {
+                    event.links = [{ href: incident.link, text: 'ArgoCD' }];
+                }
+            }
+
+            await this.httpClient.post(this.url, event);
+        }
+    }
+}
+
+module.exports = PagerDutyNotifier;
@@ -0,0 +1,101 @@
+// src/notifiers/SlackNotifier.js
+
+const { alertTitle, appUrl, clusterStatusText, deploymentLines, groupApps, isResolved, reasonLines, reportLines, resourceLines, statusText } = require('./format');
+
+class SlackNotifier {
+    constructor(name, options, httpClient) {
+        this.name = name;
+        this.type = 'slack';
+        this.webhookUrl = options.webhookUrl;
+        this.argovisorUrl = options.argovisorUrl;
+        this.httpClient = httpClient;
+
+        if (!this.webhookUrl) {
+            throw new Error(`Notification channel ${name} requires a webhookUrl`);
+        }
+    }
+
+    formatAlert(alert) {
+        if (alert.event === 'report') {
+            return [`:argo: *${alertTitle(alert)}* :argo:\n`, ...reportLines(alert.report)].join('\n');
+        }
+
+        if (alert.event === 'deploy') {
+            return [`:argo: *${alertTitle(alert)}* :argo:\n`, ...deploymentLines(alert)].join('\n');
+        }
+
+        if (alert.event === 'unreachable' || alert.event === 'reachable') {
+            return `:argo: *${alert.cluster}* :argo:\n\n${clusterStatusText(alert)}`;
+        }
+
+        if (alert.event === 'recovery') {
+            return [
+                `:argo: *${alert.cluster}* :argo:\n`,
+                `Recovered applications:`,
+                ...alert.apps.map(app => `• <${appUrl(alert.clusterUrl, app)}|${app.name}>`)
+            ].join('\n');
+        }
+
+        const lines = [
+            `:argo: *${alert.cluster}* :argo:\n`,
+            `Applications requiring attention (${alert.severity || 'warning'}):`
+        ];
+
+        Object.entries(groupApps(alert.apps)).forEach(([status, statusApps]) => {
+            if (statusApps.length > 0) {
+                lines.push(`\n*${status}:*`);
+                statusApps.forEach(app => {
+                    lines.push(`• <${appUrl(alert.clusterUrl, app)}|${app.name}>: ${statusText(status, app)}`);
+                    lines.push(...reasonLines(app, '    ◦ '));
+                    lines.push(...resourceLines(app, '    ◦ '));
+                });
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    async send(alert) {
+        const blocks = [
+            {
+                type: "section",
+                text: {
+                    type: "mrkdwn",
+                    text: this.formatAlert(alert)
+                }
+            }
+        ];
+
+        if (!isResolved(alert) && alert.clusterUrl) {
+            blocks.push({
+                type: "actions",
+                elements: [
+                    {
+                        type: "button",
+                        text: {
+                            type: "plain_text",
+                            text: "ArgoCD",
+                            emoji: true
+                        },
+                        url: alert.clusterUrl,
+                        style: "primary"
+                    },
+                    {
+                        type: "button",
+                        text: {
+                            type: "plain_text",
+                            text: "ArgoVisor",
+                            emoji: true
+                        },
+                        url: this.argovisorUrl,
+                        style: "primary"
+                    }
+                ]
+            });
+        }
+
+        await this.httpClient.post(this.webhookUrl, { blocks });
+    }
+}
+
+module.exports = SlackNotifier;
@@ -0,0 +1,75 @@
+// src/notifiers/TeamsNotifier.js
+
+const { appUrl, alertTitle, clusterStatusText, deploymentLines, groupApps, isResolved, reasonLines, reportLines, resourceLines, statusText } = require('./format');
+
+class TeamsNotifier {
+    constructor(name, options, httpClient) {
+        this.name = name;
+        this.type = 'teams';
+        this.webhookUrl = options.webhookUrl;
+        this.argovisorUrl = options.argovisorUrl;
+        this.httpClient = httpClient;
+
+        if (!this.webhookUrl) {
+            throw new Error(`Notification channel ${name} requires a webhookUrl`);
+        }
+    }
+
+    formatSections(alert) {
+        if (alert.event === 'report') {
+            return [{ text: reportLines(alert.report).join('\n\n') }];
+        }
+
+        if (alert.event === 'deploy') {
+            return [{ text: deploymentLines(alert).join('\n') }];
+        }
+
+        if (alert.event === 'unreachable' || alert.event === 'reachable') {
+            return [{ text: clusterStatusText(alert) }];
+        }
+
+        if (alert.event === 'recovery') {
+            return [{
+                activityTitle: 'Recovered',
+                text: alert.apps.map(app => `- [${app.name}](${appUrl(alert.clusterUrl, app)})`).join('\n')
+            }];
+        }
+
+        return Object.entries(groupApps(alert.apps))
+            .filter(([, apps]) => apps.length > 0)
+            .map(([status, apps]) => ({
+                activityTitle: status,
+                text: apps
+                    .flatMap(app => [
+                        `- [${app.name}](${appUrl(alert.clusterUrl, app)}): ${statusText(status, app)}`,
+                        ...reasonLines(app, '    - '),
+                        ...resourceLines(app, '    - ')
+                    ])
+                    .join('\n')
+            }));
+    }
+
+    async send(alert) {
+        const title = alertTitle(alert);
+        const card = {
+            '@type': 'MessageCard',
+            '@context': 'http://schema.org/extensions',
+            themeColor: ['report', 'deploy'].includes(alert.event) ? '0078D7' : isResolved(alert) ? '2EB886' : 'D00000',
+            summary: title,
+            title,
+            sections: this.formatSections(alert),
+            potentialAction: [
+                alert.clusterUrl && { name: 'ArgoCD', uri: alert.clusterUrl },
+                { name: 'ArgoVisor', uri: this.argovisorUrl }
+            ].filter(Boolean).map(action => ({
+                '@type': 'OpenUri',
+                name: action.name,
+                targets: [{ os: 'default', uri: action.uri }]
+            }))
+        };
+
+        await this.httpClient.post(this.webhookUrl, card);
+    }
+}
+
+module.exports = TeamsNotifier;
@@ -0,0 +1,27 @@
+// src/notifiers/WebhookNotifier.js
+
+const { alertTitle, formatPlainText } = require('./format');
+
+class WebhookNotifier {
+    constructor(name, options, httpClient) {
+        this.name = name;
+        this.type = 'webhook';
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.httpClient = httpClient;
+
+        if (!this.url) {
+            throw new Error(`Notification channel ${name} requires a url`);
+        }
+    }
+
+    async send(alert) {
+        await this.httpClient.post(this.url, {
+            ...alert,
+            title: alertTitle(alert),
+            text: formatPlainText(alert)
+        }, { headers: this.headers });
+    }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,146 @@
+// src/notifiers/format.js
+
+const { formatDuration } = require('../utils/time');
+
+const appUrl = (clusterUrl, app) => `${clusterUrl}/applications/${app.name}`;
+
+// Groups problematic apps the same way for every channel; healthy but OutOfSync apps get their own group,
+// and apps alerting for another reason, such as a failed sync or a ComparisonError, end up in Errors
+function groupApps(apps) {
+    const groups = {
+        Missing: apps.filter(app => app.healthStatus === 'Missing'),
+        Unknown: apps.filter(app => app.healthStatus === 'Unknown'),
+        Degraded: apps.filter(app => app.healthStatus === 'Degraded'),
+        OutOfSync: apps.filter(app => app.syncStatus === 'OutOfSync' && app.healthStatus === 'Healthy')
+    };
+    groups.Errors = apps.filter(app => !Object.values(groups).some(group => group.includes(app)));
+    return groups;
+}
+
+// Alert reasons beyond the health and sync status, e.g. "SyncFailed: one or more objects failed to apply"
+const reasonLines = (app, prefix) => (app.reasons || [])
+    .filter(reason => reason.kind === 'operation' || reason.kind === 'condition')
+    .map(reason => `${prefix}${reason.reason}${reason.message ? `: ${reason.message}` : ''}`);
+
+const reasonSummary = app => app.reasons?.length > 0 ?
+    app.reasons.map(reason => reason.reason).join(', ') :
+    `${app.healthStatus}/${app.syncStatus}`;
+
+const describeResource = resource =>
+    `${resource.kind} ${resource.namespace ? `${resource.namespace}/` : ''}${resource.name}`;
+
+// One line per unhealthy resource of an app, e.g. "Deployment shop/api: Degraded - exceeded its progress deadline"
+const resourceLines = (app, prefix) => (app.resources || []).map(resource =>
+    `${prefix}${describeResource(resource)}: ${resource.health}${resource.message ? ` - ${resource.message}` : ''}`
+);
+
+const statusText = (group, app) => {
+    if (group === 'Errors') return reasonSummary(app);
+    return group === 'OutOfSync' ? 'OutOfSync' : app.healthStatus;
+};
+
+const RESOLVED_EVENTS = ['recovery', 'reachable'];
+
+const isResolved = alert => RESOLVED_EVENTS.includes(alert.event);
+
+const clusterStatusText = alert => alert.event === 'reachable' ?
+    `Cluster is reachable again.` :
+    `Cluster unreachable for ${alert.consecutiveFailures} polls (${alert.error?.type}): ${alert.error?.message}`;
+
+const availabilityText = value => value === null ? 'no data' : `${value}%`;
+
+// Body of a digest report: availability per cluster and the applications that were down the longest
+function reportLines(report) {
+    const lines = [
+        `${report.from} - ${report.to}`,
+        `Overall availability: ${availabilityText(report.availabilityPercent)}`,
+        '',
+        'Clusters:'
+    ];
+    report.clusters.forEach(cluster => {
+        const reachability = cluster.reachable ? '' : ', unreachable';
+        lines.push(`- ${cluster.name}: ${availabilityText(cluster.availabilityPercent)} available, ` +
+            `${cluster.applications} apps, ${cluster.unavailable} unavailable, ${cluster.outOfSync} out of sync, ` +
+            `${cluster.incidents} incidents${reachability}`);
+    });
+
+    if (report.longestDegraded.length > 0) {
+        lines.push('', 'Longest degraded:');
+        report.longestDegraded.forEach(app => {
+            lines.push(`- ${app.cluster}/${app.application}: ${formatDuration(app.unavailableMs)} ` +
+                `in ${app.incidents} incidents (now ${app.healthStatus || 'removed'})`);
+        });
+    }
+    return lines;
+}
+
+const shortRevision = revision => revision ? String(revision).slice(0, 7) : 'unknown revision';
+
+// One line per completed sync, e.g. "- web: Succeeded at 1a2b3c4 by jane (web:1.4.2)"
+const deploymentLines = alert => alert.deployments.map(deployment => {
+    const by = deployment.initiatedBy ? ` by ${deployment.initiatedBy}` : '';
+    const images = deployment.images.length > 0 ? ` (${deployment.images.join(', ')})` : '';
+    const message = deployment.phase !== 'Succeeded' && deployment.message ? `: ${deployment.message}` : '';
+    return `- ${deployment.application}: ${deployment.phase} at ${shortRevision(deployment.revision)}${by}${images}${message}`;
+});
+
+function alertTitle(alert) {
+    if (alert.event === 'report') return `ArgoVisor ${alert.name} report`;
+    if (alert.event === 'deploy') {
+        const failed = alert.deployments.filter(deployment => deployment.phase !== 'Succeeded').length;
+        return `${alert.cluster}: ${alert.deployments.length} deployments${failed > 0 ? `, ${failed} failed` : ''}`;
+    }
+    const severity = alert.severity ? `[${alert.severity.toUpperCase()}] ` : '';
+    if (alert.event === 'unreachable') return `${severity}${alert.cluster} is unreachable`;
+    if (alert.event === 'reachable') return `${alert.cluster} is reachable again`;
+    return alert.event === 'recovery' ?
+        `${alert.cluster}: ${alert.apps.length} applications recovered` :
+        `${severity}${alert.cluster}: ${alert.apps.length} applications requiring attention`;
+}
+
+function formatPlainText(alert) {
+    if (alert.event === 'report') {
+        return [alertTitle(alert), '', ...reportLines(alert.report)].join('\n');
+    }
+
+    if (alert.event === 'deploy') {
+        return [alertTitle(alert), '', ...deploymentLines(alert)].join('\n');
+    }
+
+    if (alert.event === 'unreachable' || alert.event === 'reachable') {
+        return `${alert.cluster}\n\n${clusterStatusText(alert)}`;
+    }
+
+    if (alert.event === 'recovery') {
+        return [alert.cluster, '', 'Recovered applications:']
+            .concat(alert.apps.map(app => `- ${app.name} (${appUrl(alert.clusterUrl, app)})`))
+            .join('\n');
+    }
+
+    const lines = [alert.cluster, '', `Applications requiring attention (${alert.severity || 'warning'}):`];
+    Object.entries(groupApps(alert.apps)).forEach(([group, apps]) => {
+        if (apps.length === 0) return;
+        lines.push('', `${group}:`);
+        apps.forEach(app => {
+            lines.push(`- ${app.name}: ${statusText(group, app)} (${appUrl(alert.clusterUrl, app)})`);
+            lines.push(...reasonLines(app, '    '));
+            lines.push(...resourceLines(app, '    '));
+        });
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    isResolved,
+    clusterStatusText,
+    appUrl,
+    groupApps,
+    statusText,
+    reasonLines,
+    reasonSummary,
+    resourceLines,
+    alertTitle,
+    reportLines,
+    deploymentLines,
+    formatPlainText
+};
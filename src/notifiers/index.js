@@ -0,0 +1,37 @@
+// src/notifiers/index.js
+
+const SlackNotifier = require('./SlackNotifier');
+const WebhookNotifier = require('./WebhookNotifier');
+const TeamsNotifier = require('./TeamsNotifier');
+const EmailNotifier = require('./EmailNotifier');
+const PagerDutyNotifier = require('./PagerDutyNotifier');
+
+const NOTIFIER_TYPES = {
+    slack: SlackNotifier,
+    webhook: WebhookNotifier,
+    teams: TeamsNotifier,
+    email: EmailNotifier,
+    pagerduty: PagerDutyNotifier
+};
+
+function createNotifiers(channels, httpClient, defaults = {}) {
+    return channels.reduce((acc, channel) => {
+        const Notifier = NOTIFIER_TYPES[channel.type];
+        if (!Notifier) {
+            console.error(`Notification channel ${channel.name} skipped - unknown type ${channel.type}`);
+            return acc;
+        }
+
+        try {
+            acc.push(new Notifier(channel.name || channel.type, { ...defaults, ...channel }, httpClient));
+        } catch (error) {
+            console.error(`Notification channel ${channel.name} skipped - ${error.message}`);
+        }
+        return acc;
+    }, []);
+}
+
+module.exports = {
+    NOTIFIER_TYPES,
+    createNotifiers
+};
@@ -0,0 +1,110 @@
+// src/services/AlertConditions.js
+
+const { parseCron, previousFire, wallClock } = require('../utils/cron');
+const { matchGlob } = require('../utils/matchers');
+const { parseDuration } = require('../utils/time');
+
+const MINUTE = 60 * 1000;
+
+// Annotations of an application: "false" turns its alerts off, a comma-separated list of
+// reasons (e.g. "OutOfSync,ComparisonError") ignores just those
+const ALERTS_ANNOTATION = 'argovisor.io/alerts';
+const IGNORE_ANNOTATION = 'argovisor.io/ignore';
+
+const FAILED_PHASES = ['Failed', 'Error'];
+const RUNNING_PHASES = ['Running', 'Terminating'];
+
+// ArgoCD names its error conditions ...Error; the others are warnings
+const isErrorCondition = condition => /Error$/.test(condition.type || '');
+
+// Why an application may need attention: its health and sync status, a failed last operation
+// (SyncFailed, SyncError) and error conditions such as ComparisonError
+function applicationReasons(app) {
+    const reasons = [];
+    if (app.healthStatus !== 'Healthy') {
+        reasons.push({ kind: 'health', reason: app.healthStatus, message: app.status?.health?.message || null });
+    }
+    if (app.syncStatus !== 'Synced') {
+        reasons.push({ kind: 'sync', reason: app.syncStatus, message: null });
+    }
+    const operation = app.status?.operationState;
+    if (FAILED_PHASES.includes(operation?.phase)) {
+        reasons.push({ kind: 'operation', reason: `Sync${operation.phase}`, message: operation.message || null });
+    }
+    (app.status?.conditions || []).filter(isErrorCondition).forEach(condition => {
+        reasons.push({ kind: 'condition', reason: condition.type, message: condition.message || null });
+    });
+    return reasons;
+}
+
+// A window is active for its duration after each time its schedule fires
+function windowActive(window, now) {
+    try {
+        const duration = parseDuration(window.duration);
+        parseCron(window.schedule || '');
+        return Boolean(duration) && previousFire(window.schedule, wallClock(now, window.timeZone), duration) !== null;
+    } catch (error) {
+        return false;
+    }
+}
+
+// ArgoCD matches the applications, namespaces and clusters of a window as globs
+const listMatches = (patterns, value) => Array.isArray(patterns) && Boolean(value) &&
+    patterns.some(pattern => matchGlob(pattern, value));
+
+const windowApplies = (window, app) =>
+    listMatches(window.applications, app.name) ||
+    listMatches(window.namespaces, app.spec?.destination?.namespace) ||
+    listMatches(window.clusters, app.spec?.destination?.name || app.spec?.destination?.server);
+
+// As in ArgoCD, an active deny window blocks syncs, and so does having allow windows of which
+// none is active. Alerts are resolved by manual syncs, so windows with manualSync don't block.
+// isActive lets callers share window activity between applications.
+function syncBlocked(app, project, now, isActive = window => windowActive(window, now)) {
+    const windows = (project?.syncWindows || []).filter(window => windowApplies(window, app));
+    const denies = windows.filter(window => window.kind === 'deny' && isActive(window));
+    if (denies.length > 0) return !denies.every(window => window.manualSync);
+
+    const allows = windows.filter(window => window.kind === 'allow');
+    if (allows.length === 0 || allows.some(isActive)) return false;
+    return !allows.some(window => window.manualSync);
+}
+
+// Splits the reasons of an application into the ones to alert on and the ones expected right
+// now: during a running sync (for up to operationGrace) health and sync status are in flux,
+// and while sync windows block syncs OutOfSync cannot be fixed
+function assessApplication(app, { project = null, now = Date.now(), operationGrace = 10 * MINUTE, isActive } = {}) {
+    const annotations = app.metadata?.annotations || {};
+    const ignored = (annotations[IGNORE_ANNOTATION] || '').split(',').map(reason => reason.trim()).filter(Boolean);
+    const operation = app.status?.operationState;
+    const syncing = RUNNING_PHASES.includes(operation?.phase) &&
+        now - (Date.parse(operation.startedAt) || now) < operationGrace;
+
+    const cause = reason => {
+        if (annotations[ALERTS_ANNOTATION] === 'false') return 'annotation';
+        if (ignored.includes(reason.reason)) return 'annotation';
+        if (syncing && (reason.kind === 'health' || reason.kind === 'sync')) return 'operation-running';
+        if (reason.reason === 'OutOfSync' && syncBlocked(app, project, now, isActive)) return 'sync-window';
+        return null;
+    };
+
+    const assessment = { reasons: [], suppressed: [] };
+    applicationReasons(app).forEach(reason => {
+        const suppressedBy = cause(reason);
+        if (suppressedBy) {
+            assessment.suppressed.push({ ...reason, cause: suppressedBy });
+        } else {
+            assessment.reasons.push(reason);
+        }
+    });
+    return assessment;
+}
+
+module.exports = {
+    ALERTS_ANNOTATION,
+    IGNORE_ANNOTATION,
+    applicationReasons,
+    windowActive,
+    syncBlocked,
+    assessApplication
+};
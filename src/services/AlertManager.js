@@ -0,0 +1,178 @@
+// src/services/AlertManager.js
+
+const crypto = require('crypto');
+const PersistedMap = require('../storage/PersistedMap');
+
+const RESOLVED_RETENTION = 24 * 60 * 60 * 1000;
+
+const alertKey = (cluster, application, rule) => `${cluster}/${application}/${rule}`;
+
+class AlertManager {
+    constructor(options = {}) {
+        this.reminderInterval = Number(options.reminderInterval) || 24 * 60 * 60 * 1000;
+        this.alerts = new PersistedMap(options.storage, 'alerts/');
+        this.active = new Map();
+    }
+
+    // Reads the alerts from the storage, so notifications are not repeated after a restart
+    // and acknowledgements made on other instances are seen
+    async load() {
+        await this.alerts.load();
+        this.active.clear();
+        this.alerts.forEach(alert => {
+            if (alert.state !== 'resolved') {
+                this.active.set(alertKey(alert.cluster, alert.application ?? '*', alert.rule), alert);
+            }
+        });
+    }
+
+    flush() {
+        return this.alerts.flush();
+    }
+
+    // Reconciles the apps firing a rule in one cluster with the tracked alerts.
+    // Returns the apps to notify about as new or still-unacknowledged problems and the ones that recovered.
+    reconcile(clusterName, rule, firingApps, silencedApps = [], now = Date.now()) {
+        const problems = [];
+        const recovered = [];
+        const current = new Set();
+
+        firingApps.forEach(app => {
+            const key = alertKey(clusterName, app.name, rule.name);
+            current.add(key);
+
+            let alert = this.active.get(key);
+            if (!alert) {
+                alert = {
+                    id: crypto.randomUUID(),
+                    cluster: clusterName,
+                    application: app.name,
+                    rule: rule.name,
+                    severity: rule.severity,
+                    state: 'firing',
+                    startsAt: new Date(now).toISOString(),
+                    lastNotifiedAt: null,
+                    acknowledgedAt: null,
+                    acknowledgedBy: null,
+                    resolvedAt: null
+                };
+                this.alerts.set(alert.id, alert);
+                this.active.set(key, alert);
+            }
+
+            alert.healthStatus = app.healthStatus;
+            alert.syncStatus = app.syncStatus;
+            this.alerts.touch(alert.id);
+
+            const due = !alert.lastNotifiedAt || now - Date.parse(alert.lastNotifiedAt) > this.reminderInterval;
+            if (alert.state === 'firing' && due) {
+                problems.push({ app, alert });
+            }
+        });
+
+        // Silenced apps still have a problem, so their alerts stay open without notifying
+        silencedApps.forEach(app => current.add(alertKey(clusterName, app.name, rule.name)));
+
+        for (const [key, alert] of this.active) {
+            if (alert.cluster !== clusterName || alert.rule !== rule.name || current.has(key)) continue;
+
+            alert.state = 'resolved';
+            alert.resolvedAt = new Date(now).toISOString();
+            this.active.delete(key);
+            this.alerts.touch(alert.id);
+            if (alert.lastNotifiedAt) {
+                recovered.push({ alert });
+            }
+        }
+
+        return { problems, recovered };
+    }
+
+    // Opens an alert once a cluster failed `after` polls in a row and resolves it when the cluster answers again.
+    // Returns the transition to notify about, if any.
+    reconcileCluster(clusterName, health, { after, severity }, silenced = false, now = Date.now()) {
+        const key = alertKey(clusterName, '*', 'cluster-unreachable');
+        let alert = this.active.get(key);
+
+        if (health.reachable) {
+            if (!alert) return null;
+            alert.state = 'resolved';
+            alert.resolvedAt = new Date(now).toISOString();
+            this.active.delete(key);
+            this.alerts.touch(alert.id);
+            return alert.lastNotifiedAt ? { event: 'reachable', alert } : null;
+        }
+
+        if (health.consecutiveFailures < after) return null;
+
+        if (!alert) {
+            alert = {
+                id: crypto.randomUUID(),
+                cluster: clusterName,
+                application: null,
+                rule: 'cluster-unreachable',
+                severity,
+                state: 'firing',
+                startsAt: new Date(now).toISOString(),
+                lastNotifiedAt: null,
+                acknowledgedAt: null,
+                acknowledgedBy: null,
+                resolvedAt: null
+            };
+            this.alerts.set(alert.id, alert);
+            this.active.set(key, alert);
+        }
+        alert.error = health.lastError;
+        this.alerts.touch(alert.id);
+
+        const due = !alert.lastNotifiedAt || now - Date.parse(alert.lastNotifiedAt) > this.reminderInterval;
+        return alert.state === 'firing' && due && !silenced ? { event: 'unreachable', alert } : null;
+    }
+
+    markNotified(entries, now = Date.now()) {
+        entries.forEach(({ alert }) => {
+            alert.lastNotifiedAt = new Date(now).toISOString();
+            this.alerts.touch(alert.id);
+        });
+    }
+
+    acknowledge(id, { by, comment } = {}) {
+        const alert = this.alerts.get(id);
+        if (!alert) return null;
+        if (alert.state === 'resolved') {
+            const error = new Error('Alert is already resolved');
+            error.status = 409;
+            throw error;
+        }
+
+        alert.state = 'acknowledged';
+        alert.acknowledgedAt = new Date().toISOString();
+        alert.acknowledgedBy = by || 'unknown';
+        alert.comment = comment || '';
+        this.alerts.touch(id);
+        console.log(`Alert ${id} (${alert.cluster}/${alert.application}) acknowledged by ${alert.acknowledgedBy}`);
+        return alert;
+    }
+
+    list({ state, cluster, application } = {}) {
+        return [...this.alerts.values()].filter(alert =>
+            (!state || alert.state === state) &&
+            (!cluster || alert.cluster === cluster) &&
+            (!application || alert.application === application)
+        );
+    }
+
+    get(id) {
+        return this.alerts.get(id) || null;
+    }
+
+    prune(now = Date.now()) {
+        for (const [id, alert] of this.alerts) {
+            if (alert.state === 'resolved' && Date.parse(alert.resolvedAt) < now - RESOLVED_RETENTION) {
+                this.alerts.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = AlertManager;
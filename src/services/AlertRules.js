@@ -0,0 +1,132 @@
+// src/services/AlertRules.js
+
+const fs = require('fs');
+const { matchApplication } = require('../utils/matchers');
+const { parseDuration } = require('../utils/time');
+const { assessApplication, windowActive } = require('./AlertConditions');
+
+const SEVERITIES = ['critical', 'error', 'warning', 'info'];
+
+// The statuses ArgoVisor alerted on before rules existed, plus failed syncs and error conditions.
+// The applications it never alerted on, *argocd-apps*, are left out by the default application
+// filter, and only by that one.
+const DEFAULT_RULES = [
+    {
+        name: 'default',
+        match: {
+            status: ['Unknown', 'Degraded', 'Missing', 'OutOfSync', 'SyncFailed', 'SyncError', 'ComparisonError', 'InvalidSpecError']
+        },
+        severity: 'warning'
+    }
+];
+
+class AlertRules {
+    constructor(options = {}) {
+        const definitions = options.rules ||
+            (options.file ? JSON.parse(fs.readFileSync(options.file, 'utf8')) : DEFAULT_RULES);
+
+        this.rules = definitions.map((rule, index) => this.normalize(rule, index));
+        this.operationGrace = parseDuration(options.operationGrace) ?? 10 * 60 * 1000;
+        this.pending = new Map();
+        // The assessments of the last evaluation, per cluster and application
+        this.assessments = new Map();
+        console.log(`Alert rules loaded: ${this.rules.map(rule => rule.name).join(', ')}`);
+    }
+
+    normalize(rule, index) {
+        const severity = rule.severity || 'warning';
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Alert rule ${rule.name || index}: unknown severity ${severity}`);
+        }
+
+        return {
+            name: rule.name || `rule-${index + 1}`,
+            match: rule.match || {},
+            status: rule.match?.status || DEFAULT_RULES[0].match.status,
+            forMs: parseDuration(rule.for) || 0,
+            severity,
+            channels: rule.channels || null
+        };
+    }
+
+    // Rule statuses name health and sync statuses, failed operations and condition types
+    matches(rule, clusterName, app, reasons) {
+        return matchApplication(rule.match, clusterName, app) &&
+            reasons.some(reason => rule.status.includes(reason.reason));
+    }
+
+    // The reasons to alert on for each application of a cluster result, and the suppressed ones.
+    // Sync windows are shared by the applications of a project, so each is checked once.
+    assess(result, now = Date.now()) {
+        const projects = new Map((result.projects || []).map(project => [project.name, project]));
+        const windows = new Map();
+        const isActive = window => {
+            if (!windows.has(window)) windows.set(window, windowActive(window, now));
+            return windows.get(window);
+        };
+
+        return new Map((result.applications || []).map(app => [app.name, assessApplication(app, {
+            project: projects.get(app.spec?.project || 'default'),
+            now,
+            operationGrace: this.operationGrace,
+            isActive
+        })]));
+    }
+
+    // The reasons an application alerted on at the last evaluation of its cluster
+    reasons(clusterName, appName) {
+        return this.assessments.get(clusterName)?.get(appName)?.reasons || [];
+    }
+
+    // Returns the apps of a cluster result that fire each rule, honouring the "for" duration
+    evaluate(result, now = Date.now()) {
+        const firing = new Map(this.rules.map(rule => [rule.name, []]));
+        const seen = new Set();
+        const heldBack = [];
+        const assessments = this.assess(result, now);
+        this.assessments.set(result.name, assessments);
+
+        (result.applications || []).forEach(app => {
+            const { reasons, suppressed } = assessments.get(app.name);
+            const causes = new Set();
+
+            this.rules.forEach(rule => {
+                if (!this.matches(rule, result.name, app, reasons)) {
+                    suppressed
+                        .filter(reason => this.matches(rule, result.name, app, [reason]))
+                        .forEach(reason => causes.add(reason.cause));
+                    return;
+                }
+
+                const key = `${rule.name}:${result.name}/${app.name}`;
+                seen.add(key);
+                if (!this.pending.has(key)) {
+                    this.pending.set(key, now);
+                }
+
+                if (now - this.pending.get(key) >= rule.forMs) {
+                    firing.get(rule.name).push(app);
+                }
+            });
+
+            if (causes.size > 0) heldBack.push(`${app.name} (${[...causes].join(', ')})`);
+        });
+
+        if (heldBack.length > 0) {
+            console.log(`[${result.name}] Alerts held back: ${heldBack.join(', ')}`);
+        }
+
+        const prefix = `:${result.name}/`;
+        for (const key of this.pending.keys()) {
+            if (key.includes(prefix) && !seen.has(key)) {
+                this.pending.delete(key);
+            }
+        }
+
+        return firing;
+    }
+}
+
+AlertRules.SEVERITIES = SEVERITIES;
+
+module.exports = AlertRules;
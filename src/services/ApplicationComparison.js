@@ -0,0 +1,111 @@
+// src/services/ApplicationComparison.js
+
+const crypto = require('crypto');
+const { matchGlob } = require('../utils/matchers');
+
+// Compared per application; sources are listed in order for multi-source applications
+const FIELDS = {
+    repoURL: sources => sources.map(source => source.repoURL || null),
+    path: sources => sources.map(source => source.path || null),
+    chart: sources => sources.map(source => source.chart || null),
+    targetRevision: sources => sources.map(source => source.targetRevision || 'HEAD'),
+    helmValueFiles: sources => sources.map(source => source.helm?.valueFiles || []),
+    helmParameters: sources => sources.map(source => Object.fromEntries(
+        (source.helm?.parameters || []).map(parameter => [parameter.name, parameter.value])
+    )),
+    // Inline values can be large, so only their digest is compared and returned
+    helmValues: sources => sources.map(source => {
+        const values = source.helm?.valuesObject ? JSON.stringify(source.helm.valuesObject) : source.helm?.values;
+        return values ? crypto.createHash('sha256').update(values).digest('hex').slice(0, 12) : null;
+    }),
+    kustomizeImages: sources => sources.map(source => source.kustomize?.images || [])
+};
+
+const STATUS_FIELDS = {
+    revision: app => app.status?.sync?.revision || app.status?.sync?.revisions || null,
+    images: app => [...(app.status?.summary?.images || [])].sort(),
+    healthStatus: app => app.healthStatus,
+    syncStatus: app => app.syncStatus
+};
+
+const COMPARED_FIELDS = [...Object.keys(FIELDS), ...Object.keys(STATUS_FIELDS)];
+
+const sourcesOf = app => app.spec?.sources || (app.spec?.source ? [app.spec.source] : []);
+
+// Single-source applications compare plain values instead of one-element lists
+function describe(app) {
+    const sources = sourcesOf(app);
+    const described = {
+        application: app.name,
+        project: app.spec?.project || null,
+        namespace: app.spec?.destination?.namespace || null
+    };
+    Object.entries(FIELDS).forEach(([field, extract]) => {
+        const values = extract(sources);
+        described[field] = sources.length === 1 ? values[0] : values;
+    });
+    Object.entries(STATUS_FIELDS).forEach(([field, extract]) => {
+        described[field] = extract(app);
+    });
+    return described;
+}
+
+const groupKey = (app, label) => label ? app.metadata?.labels?.[label] || app.name : app.name;
+
+// Groups the applications of the given cluster results by name, or by the value of a label,
+// and lists for each group the fields whose values differ between clusters
+function compareApplications(clusters, { label = null, app = null, fields = null, driftOnly = false } = {}) {
+    const compared = fields || COMPARED_FIELDS;
+    const unknown = compared.filter(field => !COMPARED_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw Object.assign(new Error(`Unknown comparison fields: ${unknown.join(', ')}`), { status: 400 });
+    }
+
+    const groups = new Map();
+    clusters.forEach(result => {
+        (result.applications || []).forEach(application => {
+            const key = groupKey(application, label);
+            if (app && !matchGlob(app, key)) return;
+            if (!groups.has(key)) groups.set(key, {});
+            // Several applications of one cluster with the same label value: the first one is compared
+            const members = groups.get(key);
+            if (!members[result.name]) members[result.name] = describe(application);
+        });
+    });
+
+    const clusterNames = clusters.map(result => result.name);
+    const comparisons = [...groups.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, members]) => {
+            const present = clusterNames.filter(name => members[name]);
+            const differences = compared
+                .filter(field => new Set(present.map(name => JSON.stringify(members[name][field]))).size > 1)
+                .map(field => ({
+                    field,
+                    values: Object.fromEntries(present.map(name => [name, members[name][field]]))
+                }));
+            const missingIn = clusterNames.filter(name => !members[name]);
+            return {
+                key,
+                drift: differences.length > 0 || missingIn.length > 0,
+                missingIn,
+                differences,
+                clusters: members
+            };
+        })
+        .filter(comparison => !driftOnly || comparison.drift);
+
+    return {
+        groupBy: label ? `label:${label}` : 'name',
+        clusters: clusterNames,
+        fields: compared,
+        count: comparisons.length,
+        drifted: comparisons.filter(comparison => comparison.drift).length,
+        applications: comparisons
+    };
+}
+
+module.exports = {
+    COMPARED_FIELDS,
+    compareApplications
+};
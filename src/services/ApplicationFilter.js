@@ -0,0 +1,56 @@
+// src/services/ApplicationFilter.js
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { matchApplication } = require('../utils/matchers');
+
+// Applications ArgoVisor hid before filters existed: alerts skipped every name containing
+// argocd-apps, the API these two names
+const DEFAULT_EXCLUDED_APPS = ['*argocd-apps*', 'argocd-initialize'];
+
+const MATCH_KEYS = ['cluster', 'project', 'namespace', 'app', 'labels', 'annotations'];
+
+// Decides which applications ArgoVisor monitors. Rules match like alert rules on
+// { cluster, project, namespace, app, labels, annotations }; an application is kept when
+// it matches any include rule (or there are none) and no exclude rule.
+class ApplicationFilter {
+    constructor(options = {}) {
+        const definition = options.rules ||
+            (options.file ? yaml.load(fs.readFileSync(options.file, 'utf8')) : null);
+        const excludedApps = options.excludedApps || (definition ? [] : DEFAULT_EXCLUDED_APPS);
+
+        this.include = this.normalize(definition?.include, 'include');
+        this.exclude = this.normalize(definition?.exclude, 'exclude');
+        if (excludedApps.length > 0) {
+            this.exclude.push({ app: excludedApps });
+        }
+
+        console.log(`Application filter loaded: ${this.include.length} include, ${this.exclude.length} exclude rules`);
+    }
+
+    normalize(rules = [], kind) {
+        return [].concat(rules).map((rule, index) => {
+            const unknown = Object.keys(rule || {}).filter(key => !MATCH_KEYS.includes(key));
+            if (!rule || unknown.length > 0 || Object.keys(rule).length === 0) {
+                throw new Error(`Application filter ${kind}[${index}]: use one or more of ${MATCH_KEYS.join(', ')}`);
+            }
+            return rule;
+        });
+    }
+
+    matches(clusterName, app) {
+        const included = this.include.length === 0 ||
+            this.include.some(rule => matchApplication(rule, clusterName, app));
+        return included && !this.exclude.some(rule => matchApplication(rule, clusterName, app));
+    }
+
+    apply(clusterName, apps) {
+        return apps.filter(app => this.matches(clusterName, app));
+    }
+
+    describe() {
+        return { include: this.include, exclude: this.exclude };
+    }
+}
+
+module.exports = ApplicationFilter;
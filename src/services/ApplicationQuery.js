@@ -0,0 +1,181 @@
+// src/services/ApplicationQuery.js
+
+const MAX_LIMIT = 500;
+
+const SORT_FIELDS = {
+    name: app => app.name,
+    cluster: app => app.cluster,
+    project: app => app.spec?.project || '',
+    namespace: app => app.spec?.destination?.namespace || '',
+    health: app => app.healthStatus,
+    sync: app => app.syncStatus,
+    lastSync: app => app.status?.operationState?.finishedAt || ''
+};
+
+const summarize = app => ({
+    name: app.name,
+    cluster: app.cluster,
+    project: app.spec?.project || null,
+    namespace: app.spec?.destination?.namespace || null,
+    healthStatus: app.healthStatus,
+    syncStatus: app.syncStatus,
+    revision: app.status?.sync?.revision || null,
+    operationPhase: app.status?.operationState?.phase || null
+});
+
+const list = value => value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : null;
+
+const badRequest = message => Object.assign(new Error(message), { status: 400 });
+
+// Whole numbers of at least 1 such as limits and page numbers; undefined when not given
+function parsePositiveInteger(value, name) {
+    if (value === undefined || value === '') return undefined;
+    if (typeof value !== 'string' || !/^\d+$/.test(value) || Number(value) < 1) {
+        throw badRequest(`${name} must be a positive integer`);
+    }
+    return Number(value);
+}
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+    const keys = path.split('.');
+    let target = object;
+    keys.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+};
+
+// Parses Kubernetes style selectors: "team=a,env!=prod,tier in (web,api),canary,!legacy".
+// Repeated selectors must all match.
+function parseLabelSelector(selector) {
+    if (!selector) return [];
+
+    const requirements = [].concat(selector).join(',').match(/[^,(]+(\([^)]*\))?/g) || [];
+    return requirements.map(requirement => {
+        const text = requirement.trim();
+        let match;
+
+        if ((match = /^(\S+)\s+(in|notin)\s+\(([^)]*)\)$/.exec(text))) {
+            return { key: match[1], operator: match[2], values: list(match[3]) || [] };
+        }
+        if ((match = /^([^!=\s]+)\s*(==|=|!=)\s*(\S*)$/.exec(text))) {
+            return { key: match[1], operator: match[2] === '!=' ? '!=' : '=', values: [match[3]] };
+        }
+        if ((match = /^!(\S+)$/.exec(text))) {
+            return { key: match[1], operator: '!exists' };
+        }
+        if (/^\S+$/.test(text)) {
+            return { key: text, operator: 'exists' };
+        }
+        throw badRequest(`Invalid label selector: ${text}`);
+    });
+}
+
+function matchesSelector(requirements, labels = {}) {
+    return requirements.every(({ key, operator, values }) => {
+        const value = labels[key];
+        switch (operator) {
+            case '=': return value === values[0];
+            case '!=': return value !== values[0];
+            case 'in': return values.includes(value);
+            case 'notin': return !values.includes(value);
+            case 'exists': return value !== undefined;
+            case '!exists': return value === undefined;
+            default: return false;
+        }
+    });
+}
+
+function parseQuery(query = {}) {
+    if (Array.isArray(query.sort)) throw badRequest('sort may only be given once');
+    const sort = query.sort || null;
+    const sortField = sort ? sort.replace(/^-/, '') : null;
+    if (sortField && !SORT_FIELDS[sortField]) {
+        throw badRequest(`Unknown sort field ${sortField}; use one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+
+    const paginated = query.page !== undefined || query.limit !== undefined;
+    const page = parsePositiveInteger(query.page, 'page') || 1;
+    const limit = Math.min(MAX_LIMIT, parsePositiveInteger(query.limit, 'limit') || 50);
+
+    return {
+        clusters: list(query.cluster),
+        projects: list(query.project),
+        namespaces: list(query.namespace),
+        selector: parseLabelSelector(query.selector),
+        health: list(query.health),
+        sync: list(query.sync),
+        search: query.search ? String(query.search).toLowerCase() : null,
+        sortField,
+        descending: Boolean(sort && sort.startsWith('-')),
+        paginated,
+        page,
+        limit,
+        fields: list(query.fields)
+    };
+}
+
+function matches(options, app) {
+    if (options.clusters && !options.clusters.includes(app.cluster)) return false;
+    if (options.projects && !options.projects.includes(app.spec?.project)) return false;
+    if (options.namespaces && !options.namespaces.includes(app.spec?.destination?.namespace)) return false;
+    if (options.health && !options.health.includes(app.healthStatus)) return false;
+    if (options.sync && !options.sync.includes(app.syncStatus)) return false;
+    if (options.search && !app.name.toLowerCase().includes(options.search)) return false;
+    return matchesSelector(options.selector, app.metadata?.labels);
+}
+
+function sortApplications(options, apps) {
+    if (!options.sortField) return apps;
+
+    const key = SORT_FIELDS[options.sortField];
+    const direction = options.descending ? -1 : 1;
+    return [...apps].sort((a, b) =>
+        direction * String(key(a)).localeCompare(String(key(b))) ||
+        a.name.localeCompare(b.name)
+    );
+}
+
+// "summary" returns the compact view, otherwise a list of (dotted) fields; name and cluster are always kept
+function project(options, app) {
+    if (!options.fields) return app;
+    if (options.fields.includes('summary')) return summarize(app);
+
+    const projected = { name: app.name, cluster: app.cluster };
+    options.fields.forEach(field => {
+        const value = getPath(app, field);
+        if (value !== undefined) setPath(projected, field, value);
+    });
+    return projected;
+}
+
+// Flattens the cluster results into one filtered and sorted list of applications tagged with their cluster
+function queryApplications(clusters, options) {
+    const apps = clusters.flatMap(cluster =>
+        (cluster.applications || []).map(app => ({ ...app, cluster: cluster.name }))
+    );
+    return sortApplications(options, apps.filter(app => matches(options, app)));
+}
+
+function paginate(options, apps) {
+    const start = (options.page - 1) * options.limit;
+    return {
+        total: apps.length,
+        page: options.page,
+        limit: options.limit,
+        pages: Math.ceil(apps.length / options.limit),
+        items: apps.slice(start, start + options.limit).map(app => project(options, app))
+    };
+}
+
+module.exports = {
+    parsePositiveInteger,
+    parseQuery,
+    queryApplications,
+    paginate,
+    project,
+    summarize
+};
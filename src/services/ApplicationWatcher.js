@@ -0,0 +1,146 @@
+// src/services/ApplicationWatcher.js
+
+const MIN_BACKOFF = 1000;
+const MAX_BACKOFF = 60000;
+
+// ArgoCD servers without the watch API answer the stream endpoint with one of these
+const UNSUPPORTED_STATUSES = [404, 405, 501];
+
+// Follows /api/v1/stream/applications of one cluster and hands every ADDED, MODIFIED
+// and DELETED event to onEvent. Reconnects with backoff until stopped; a server that
+// does not offer the stream marks the watcher unsupported so the cluster keeps being polled.
+class ApplicationWatcher {
+    constructor(cluster, { getToken, invalidateToken, onEvent }) {
+        this.cluster = cluster;
+        this.getToken = getToken;
+        this.invalidateToken = invalidateToken;
+        this.onEvent = onEvent;
+
+        this.connected = false;
+        this.connectedAt = null;
+        this.unsupported = false;
+        this.stopped = true;
+        this.backoff = MIN_BACKOFF;
+        this.response = null;
+        this.timer = null;
+        this.events = 0;
+    }
+
+    start() {
+        if (!this.stopped || this.unsupported) return;
+        this.stopped = false;
+        this.connect();
+    }
+
+    stop() {
+        this.stopped = true;
+        this.connected = false;
+        clearTimeout(this.timer);
+        if (this.response) {
+            this.response.data.destroy();
+            this.response = null;
+        }
+    }
+
+    async connect() {
+        if (this.stopped) return;
+
+        try {
+            const token = await this.getToken();
+            this.response = await this.cluster.axiosInstance.get(`${this.cluster.url}/api/v1/stream/applications`, {
+                headers: { 'Authorization': `Bearer ${token}` },
+                responseType: 'stream',
+                timeout: 0
+            });
+        } catch (error) {
+            const status = error.response?.status;
+            if (UNSUPPORTED_STATUSES.includes(status)) {
+                this.unsupported = true;
+                this.stopped = true;
+                console.warn(`[${this.cluster.name}] Application watch not supported (${status}), falling back to polling`);
+                return;
+            }
+            if (status === 401) {
+                this.invalidateToken();
+            }
+            console.error(`[${this.cluster.name}] Application watch failed: ${error.message}`);
+            this.reconnect();
+            return;
+        }
+
+        if (this.stopped) {
+            this.response.data.destroy();
+            return;
+        }
+
+        this.connected = true;
+        this.connectedAt = Date.now();
+        console.log(`[${this.cluster.name}] Watching applications`);
+
+        const stream = this.response.data;
+        let buffer = '';
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(line => this.handleLine(line));
+        });
+        stream.on('error', error => {
+            console.error(`[${this.cluster.name}] Application watch interrupted: ${error.message}`);
+        });
+        stream.on('close', () => {
+            if (stream !== this.response?.data) return;
+            this.connected = false;
+            this.response = null;
+            if (!this.stopped) {
+                console.warn(`[${this.cluster.name}] Application watch closed`);
+                this.reconnect();
+            }
+        });
+    }
+
+    handleLine(line) {
+        if (!line.trim()) return;
+
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            console.warn(`[${this.cluster.name}] Unreadable watch event skipped: ${error.message}`);
+            return;
+        }
+
+        if (message.error) {
+            console.error(`[${this.cluster.name}] Application watch error: ${message.error.message}`);
+            return;
+        }
+
+        const { type, application } = message.result || {};
+        if (!type || !application?.metadata?.name) return;
+
+        this.backoff = MIN_BACKOFF;
+        this.events++;
+        this.onEvent({ type, application });
+    }
+
+    reconnect() {
+        if (this.stopped) return;
+
+        const delay = this.backoff;
+        this.backoff = Math.min(this.backoff * 2, MAX_BACKOFF);
+        this.timer = setTimeout(() => this.connect(), delay);
+        this.timer.unref();
+    }
+
+    describe() {
+        return {
+            connected: this.connected,
+            connectedAt: this.connectedAt ? new Date(this.connectedAt).toISOString() : null,
+            unsupported: this.unsupported,
+            events: this.events
+        };
+    }
+}
+
+module.exports = ApplicationWatcher;
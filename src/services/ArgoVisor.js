@@ -1,22 +1,110 @@
 // src/services/ArgoVisor.js
 
+const EventEmitter = require('events');
 const axios = require('axios');
 const NodeCache = require('node-cache');
+const fs = require('fs');
 const https = require('https');
 const Promise = require('bluebird');
+const HistoryStore = require('./HistoryStore');
+const DeploymentTracker = require('./DeploymentTracker');
+const AuditLog = require('./AuditLog');
+const AlertRules = require('./AlertRules');
+const ApplicationFilter = require('./ApplicationFilter');
+const SilenceManager = require('./SilenceManager');
+const AlertManager = require('./AlertManager');
+const LeaderElector = require('./LeaderElector');
+const ApplicationWatcher = require('./ApplicationWatcher');
+const ReportScheduler = require('./ReportScheduler');
+const CircuitBreaker = require('./CircuitBreaker');
+const { retry } = require('../utils/retry');
+const { mapProject, mapApplicationSet, metricsByProject } = require('./ProjectOverview');
+const { normalizeTree, normalizeManagedResources, normalizeEvents, unhealthyResources } = require('./ResourceView');
+const { createNotifiers } = require('../notifiers');
+const { createStorage } = require('../storage');
+const FileStorage = require('../storage/FileStorage');
+
+const CLUSTER_UNREACHABLE_RULE = 'cluster-unreachable';
 
 const CACHE_KEYS = {
     GLOBAL_STATE: 'global_state',
     LAST_UPDATE: 'last_update_time'
 };
 
-const agent = new https.Agent({
+const STATE_KEY = 'state';
+
+const snapshotKey = name => `snapshot_${name}`;
+
+const SESSION_TOKEN_TTL = 3500;
+
+// Watch events can arrive by the hundred; metrics are recalculated at most this often
+const METRICS_DELAY = 1000;
+
+// Applications without a numeric resourceVersion always count as newer
+const isOlder = (app, current) =>
+    Number(app.metadata?.resourceVersion) < Number(current.metadata?.resourceVersion);
+
+// Sockets per cluster; the watch stream holds one for as long as it is connected
+const MAX_SOCKETS = Number(process.env.MAX_SOCKETS) || 10;
+
+// Only reads are retried, actions such as a sync are not repeated behind the caller's back
+const RETRIED_METHODS = ['get', 'head'];
+const TRANSIENT_STATUSES = [408, 429, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const isTransient = error => TRANSIENT_STATUSES.includes(error.response?.status) ||
+    (!error.response && TRANSIENT_CODES.includes(error.code));
+
+const readPem = (inline, file) => inline || (file ? fs.readFileSync(file) : undefined);
+
+// TLS is verified unless a cluster explicitly opts out with tls.insecure
+const createAgent = (tls = {}, maxSockets = MAX_SOCKETS) => new https.Agent({
     keepAlive: true,
-    maxSockets: Infinity,
-    rejectUnauthorized: false
+    maxSockets,
+    rejectUnauthorized: !(tls.insecure === true || tls.insecure === 'true'),
+    ca: readPem(tls.ca, tls.caFile),
+    cert: readPem(tls.cert, tls.certFile),
+    key: readPem(tls.key, tls.keyFile),
+    servername: tls.serverName
 });
 
-const createAxiosInstance = () => axios.create({
+// Session tokens are JWTs; their exp claim tells how long they can be cached
+const tokenTtl = token => {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+        if (payload.exp) {
+            return Math.max(60, payload.exp - Math.floor(Date.now() / 1000) - 60);
+        }
+    } catch (error) {
+        // Opaque tokens fall back to the default TTL
+    }
+    return SESSION_TOKEN_TTL;
+};
+
+const TLS_ERROR = /CERT|SSL|TLS|SELF_SIGNED|UNABLE_TO_VERIFY|UNABLE_TO_GET_ISSUER/;
+
+// Reduces request failures to the categories operators act on
+const classifyError = error => {
+    const status = error.httpStatus ?? error.response?.status;
+    const code = error.code;
+    let type = 'unknown';
+
+    if (status === 401 || status === 403) type = 'auth';
+    else if (code && TLS_ERROR.test(code)) type = 'tls';
+    else if (code === 'ECONNABORTED' || code === 'ETIMEDOUT' || /timeout/i.test(error.message)) type = 'timeout';
+    else if (status) type = 'http';
+    else if (error.phase === 'auth' && !code) type = 'auth';
+    else if (code) type = 'network';
+
+    return {
+        type,
+        message: error.message,
+        status: status || null,
+        code: code || null
+    };
+};
+
+const createAxiosInstance = (agent = createAgent()) => axios.create({
     httpsAgent: agent,
     maxContentLength: Infinity,
     maxBodyLength: Infinity,
@@ -29,38 +117,108 @@ const createAxiosInstance = () => axios.create({
 });
 
 class ArgoCDCluster {
-    constructor(name, url, username, password) {
+    constructor(name, url, username, password, options = {}) {
         this.name = name;
         this.url = url.startsWith('http') ? url.replace(/\/$/, '') : `https://${url}`.replace(/\/$/, '');
         this.username = username;
         this.password = password;
         this.token = null;
         this.lastTokenRefresh = null;
-        this.axiosInstance = createAxiosInstance();
+        this.notifications = options.notifications || null;
+        // Unset means the global WATCH_MODE decides
+        this.watch = options.watch === undefined || options.watch === '' ?
+            null :
+            options.watch === true || options.watch === 'true';
+        // Unset means the global REQUEST_TIMEOUT and UPDATE_INTERVAL apply
+        this.timeout = Number(options.timeout) || null;
+        this.pollInterval = Number(options.pollInterval) || null;
+
+        const auth = options.auth || {};
+        this.auth = {
+            type: auth.type || (auth.token || auth.tokenFile ? 'token' : 'password'),
+            token: auth.token,
+            tokenFile: auth.tokenFile
+        };
+        if (!['token', 'password'].includes(this.auth.type)) {
+            throw Object.assign(new Error(`Unknown auth type ${this.auth.type} for cluster ${name}`), { status: 400 });
+        }
+
+        this.axiosInstance = createAxiosInstance(createAgent(options.tls, Number(options.maxSockets) || MAX_SOCKETS));
+    }
+
+    static fromConfig(name, config) {
+        return new ArgoCDCluster(name, config.url, config.username, config.password, {
+            notifications: config.notifications,
+            auth: config.auth,
+            tls: config.tls,
+            watch: config.watch,
+            timeout: config.timeout,
+            pollInterval: config.pollInterval,
+            maxSockets: config.maxSockets
+        });
     }
-}
 
-class ArgoVisor {
-    constructor(clusters, slackWebhookUrl) {
-        this.clusters = Object.entries(clusters).reduce((acc, [name, config]) => {
-            acc[name] = new ArgoCDCluster(name, config.url, config.username, config.password);
-            return acc;
-        }, {});
+    // Static API, project and SSO tokens; a token file is re-read so rotated tokens are picked up
+    readStaticToken() {
+        const token = this.auth.tokenFile ?
+            fs.readFileSync(this.auth.tokenFile, 'utf8').trim() :
+            this.auth.token;
+        if (!token) {
+            throw new Error('No API token configured');
+        }
+        return token;
+    }
+}
 
-        this.slackWebhookUrl = slackWebhookUrl;
+class ArgoVisor extends EventEmitter {
+    constructor(clusters, slackWebhookUrl, options = {}) {
+        super();
         this.axiosInstance = createAxiosInstance();
-        this.previousStates = new Map();
-        this.previousCounts = new Map();
+        const channels = options.notifications?.channels ||
+            (slackWebhookUrl ? [{ name: 'slack', type: 'slack', webhookUrl: slackWebhookUrl }] : []);
+        this.notifiers = createNotifiers(channels, this.axiosInstance, {
+            argovisorUrl: options.notifications?.argovisorUrl || process.env.ARGOVISOR_URL || 'http://localhost:3000'
+        });
+        this.storage = options.storage || createStorage();
+        // The in-memory backend has nothing to restore from, so it is not written to
+        const persistence = this.storage.persistent ? this.storage : null;
+        // except for the status history, deployments and audit log, which are then kept in files of their own
+        const historyStorage = persistence || new FileStorage({
+            directory: options.history?.directory,
+            logs: { history: options.history?.file }
+        });
+        this.leader = new LeaderElector(this.storage, options.leaderElection);
+        this.history = new HistoryStore({ ...options.history, storage: historyStorage });
+        this.deployments = new DeploymentTracker({ ...options.history, storage: historyStorage });
+        this.audit = new AuditLog({ ...options.audit, storage: historyStorage });
+        this.deployNotifications = {
+            enabled: options.deployments?.notify === true,
+            channels: options.deployments?.channels || null
+        };
+        this.applicationFilter = new ApplicationFilter(options.filters);
+        this.alertRules = new AlertRules(options.alerts);
+        this.silences = new SilenceManager({ storage: persistence });
         this.isUpdating = false;
-        this.lastAlerts = new Map();
-        this.updateInterval = process.env.UPDATE_INTERVAL || 60000;
+        this.stats = {
+            refreshCount: 0,
+            refreshErrors: 0,
+            lastRefreshDuration: 0,
+            clusters: {}
+        };
+        this.updateInterval = Number(process.env.UPDATE_INTERVAL) || 60000;
         this.alertInterval = process.env.ALERT_INTERVAL || 24 * 60 * 60 * 1000;
+        this.staleAfter = Number(process.env.STALE_AFTER) || this.updateInterval * 2;
+        this.alertManager = new AlertManager({ reminderInterval: this.alertInterval, storage: persistence });
+        this.clusterAlert = {
+            after: Number(options.alerts?.unreachableAfter) || 3,
+            severity: options.alerts?.unreachableSeverity || 'critical'
+        };
 
+        // State and per-cluster snapshots never expire; a failed or slow refresh serves them marked as stale
         this.globalCache = new NodeCache({
-            stdTTL: 60,
-            checkperiod: 30,
-            useClones: false,
-            deleteOnExpire: true
+            stdTTL: 0,
+            checkperiod: 0,
+            useClones: false
         });
 
         this.tokenCache = new NodeCache({
@@ -69,35 +227,171 @@ class ArgoVisor {
             deleteOnExpire: true
         });
 
+        this.watchMode = {
+            enabled: options.watch?.enabled === true,
+            resyncInterval: Number(options.watch?.resyncInterval) || 10 * 60 * 1000
+        };
+        this.watchers = {};
+        this.lastFullSync = {};
+        this.pendingEvents = {};
+        this.metricsTimer = null;
+
+        this.polling = {
+            concurrency: Number(options.polling?.concurrency) || 5,
+            timeout: Number(options.polling?.timeout) || 30000,
+            retries: options.polling?.retries ?? 2,
+            retryDelay: Number(options.polling?.retryDelay) || 500,
+            retryMaxDelay: Number(options.polling?.retryMaxDelay) || 10000,
+            deadline: Number(options.polling?.deadline) || 120000,
+            circuitBreaker: options.polling?.circuitBreaker || {}
+        };
+        this.breakers = {};
+        this.lastPoll = {};
+        this.reports = new ReportScheduler(this, options.reports);
+
+        this.unreachableClusters = new Set();
+        this.clusterHealth = {};
+        this.clusters = {};
+        Object.entries(clusters).forEach(([name, config]) => this.registerCluster(name, config));
+
+        this.refreshTimer = null;
+        this.currentRefresh = null;
+        this.stopped = false;
+
         console.log(`ArgoVisor initialized - Monitoring ${Object.keys(this.clusters).length} clusters`);
-        this.startBackgroundRefresh();
     }
 
+    registerCluster(name, config) {
+        const cluster = ArgoCDCluster.fromConfig(name, config);
+        this.stopWatcher(name);
+        this.clusters[name] = cluster;
+        this.breakers[name] = new CircuitBreaker(this.polling.circuitBreaker);
+        delete this.lastPoll[name];
+        this.stats.clusters[name] = this.stats.clusters[name] || { fetchErrors: 0, tokenRefreshes: 0 };
+        this.tokenCache.del(`token_${name}`);
+        return this.clusters[name];
+    }
+
+    // Requests still running for a removed cluster count into a detached object
+    clusterStats(name) {
+        return this.stats.clusters[name] || { fetchErrors: 0, tokenRefreshes: 0 };
+    }
+
+    // Adds a cluster at runtime; it is polled from the next refresh cycle on
+    addCluster(name, config) {
+        if (this.clusters[name]) {
+            throw Object.assign(new Error(`Cluster ${name} already exists`), { status: 409 });
+        }
+        this.registerCluster(name, config);
+        console.log(`[${name}] Cluster added`);
+    }
+
+    updateCluster(name, config) {
+        this.getCluster(name);
+        this.registerCluster(name, config);
+        console.log(`[${name}] Cluster updated`);
+    }
+
+    removeCluster(name) {
+        this.getCluster(name);
+        delete this.clusters[name];
+        delete this.stats.clusters[name];
+        this.unreachableClusters.delete(name);
+        delete this.clusterHealth[name];
+        this.stopWatcher(name);
+        delete this.lastFullSync[name];
+        delete this.breakers[name];
+        delete this.lastPoll[name];
+        this.alertRules.assessments.delete(name);
+        this.tokenCache.del(`token_${name}`);
+        this.globalCache.del(snapshotKey(name));
+
+        const state = this.globalCache.get(CACHE_KEYS.GLOBAL_STATE);
+        if (state) {
+            state.clusters = state.clusters.filter(cluster => cluster.name !== name);
+            state.metrics = this.calculateMetrics(state.clusters);
+            this.globalCache.set(CACHE_KEYS.GLOBAL_STATE, state);
+        }
+        console.log(`[${name}] Cluster removed`);
+    }
+
+    // Resolves once the first refresh cycle is done
     async start() {
+        if (this.stopped) {
+            throw new Error('A stopped ArgoVisor cannot be started again');
+        }
+        if (this.refreshTimer) return;
         console.log('ArgoVisor monitoring started...');
         await this.startBackgroundRefresh();
     }
 
     async startBackgroundRefresh() {
         console.log('Background data refresh initiated');
+        await this.restore();
+        if (this.stopped) return;
+
+        this.leader.start();
+        this.reports.start();
+        this.refreshTimer = setInterval(() => this.refreshData(), this.updateInterval);
         await this.refreshData();
-        setInterval(async () => {
-            await this.refreshData();
-        }, this.updateInterval);
     }
 
-    async refreshData() {
+    // Stops polling, waits for a running refresh so its alerts and writes complete, then
+    // releases the leader lease and closes the storage
+    async stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        console.log('ArgoVisor monitoring stopping...');
+
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        clearTimeout(this.metricsTimer);
+        this.reports.stop();
+        if (this.currentRefresh) {
+            console.log('Waiting for the running refresh to finish');
+            await this.currentRefresh;
+        }
+
+        Object.keys(this.watchers).forEach(name => this.stopWatcher(name));
+        await this.leader.stop();
+        await this.audit.close();
+        this.tokenCache.close();
+        this.globalCache.close();
+        await this.storage.close();
+        console.log('ArgoVisor monitoring stopped');
+    }
+
+    // Returns the running cycle when one is already in progress
+    refreshData() {
         if (this.isUpdating) {
             console.log('Update already in progress');
-            return;
+            return this.currentRefresh;
         }
 
         this.isUpdating = true;
+        this.currentRefresh = this.runRefresh().finally(() => {
+            this.isUpdating = false;
+            this.currentRefresh = null;
+        });
+        return this.currentRefresh;
+    }
+
+    async runRefresh() {
         const startTime = Date.now();
 
         try {
+            // Other instances poll while this one only serves what the leader stored
+            if (!(await this.leader.check())) {
+                Object.keys(this.watchers).forEach(name => this.stopWatcher(name));
+                await this.restore();
+                console.log(`Following the leader - state from ${this.getGlobalState().lastUpdate}`);
+                return;
+            }
+
             console.log('Data update started');
-            const clusterResults = await this.processClustersInBatches();
+            // Clusters removed while the cycle was running are dropped from its results
+            const clusterResults = (await this.processClustersInBatches())
+                .filter(result => this.clusters[result.name]);
             const metrics = this.calculateMetrics(clusterResults);
 
             const globalState = {
@@ -107,23 +401,156 @@ class ArgoVisor {
             };
 
             this.globalCache.set(CACHE_KEYS.GLOBAL_STATE, globalState);
+            if (this.storage.persistent) {
+                await this.storage.set(STATE_KEY, globalState);
+            }
+
+            const transitions = await this.history.record(clusterResults, globalState.lastUpdate);
+            if (transitions.length > 0) {
+                console.log(`${transitions.length} status transitions recorded`);
+            }
+            const deployments = await this.deployments.record(clusterResults, globalState.lastUpdate);
+            if (deployments.length > 0) {
+                console.log(`${deployments.length} deployments recorded`);
+            }
+            this.emitChanges(transitions, deployments, clusterResults, globalState);
 
             const duration = Date.now() - startTime;
+            this.stats.refreshCount++;
+            this.stats.lastRefreshDuration = duration;
             console.log(`Data update completed (${duration}ms)`);
 
-            await this.sendSlackUpdates(clusterResults);
+            await this.sendAlerts(clusterResults);
+            await this.sendDeployNotifications(clusterResults, deployments);
         } catch (error) {
+            this.stats.refreshErrors++;
             console.error('Data update error:', error);
-        } finally {
-            this.isUpdating = false;
         }
     }
 
+    // Loads the history, deployments and audit log, and the state, alerts and silences kept in the storage
+    async restore() {
+        await Promise.all([this.history.load(), this.deployments.load(), this.audit.load()]);
+        if (!this.storage.persistent) return;
+
+        try {
+            await Promise.all([
+                this.alertManager.load(),
+                this.silences.load()
+            ]);
+
+            const state = await this.storage.get(STATE_KEY);
+            if (state) {
+                this.applyState(state);
+            }
+        } catch (error) {
+            console.error(`Failed to restore state: ${error.message}`);
+        }
+    }
+
+    // Adopts a stored state: its clusters become the last known good snapshots
+    applyState(state) {
+        state.clusters = state.clusters.filter(result => this.clusters[result.name]);
+        state.clusters.forEach(result => {
+            result.applications = this.applicationFilter.apply(result.name, result.applications || []);
+            if (result.fetchedAt) {
+                this.globalCache.set(snapshotKey(result.name), {
+                    applications: result.applications,
+                    projects: result.projects || [],
+                    applicationSets: result.applicationSets || [],
+                    fetchedAt: result.fetchedAt
+                });
+            }
+            if (result.health) {
+                this.clusterHealth[result.name] = result.health;
+                if (result.health.reachable === false) {
+                    this.unreachableClusters.add(result.name);
+                } else {
+                    this.unreachableClusters.delete(result.name);
+                }
+            }
+        });
+        this.globalCache.set(CACHE_KEYS.GLOBAL_STATE, state);
+    }
+
+    // Emits one 'change' event per difference found by a refresh cycle
+    emitChanges(transitions, deployments, clusterResults, globalState) {
+        transitions.forEach(transition => {
+            this.emit('change', {
+                type: `application.${transition.type}`,
+                timestamp: transition.timestamp,
+                cluster: transition.cluster,
+                application: transition.application,
+                healthStatus: transition.healthStatus,
+                syncStatus: transition.syncStatus,
+                previousHealthStatus: transition.previousHealthStatus,
+                previousSyncStatus: transition.previousSyncStatus,
+                revision: transition.revision
+            });
+        });
+
+        deployments.forEach(deployment => {
+            this.emit('change', { ...deployment, type: `deployment.${deployment.type}` });
+        });
+
+        clusterResults.forEach(result => {
+            const wasUnreachable = this.unreachableClusters.has(result.name);
+            if (!result.health.reachable && !wasUnreachable) {
+                this.unreachableClusters.add(result.name);
+                this.emit('change', {
+                    type: 'cluster.unreachable',
+                    timestamp: globalState.lastUpdate,
+                    cluster: result.name,
+                    error: result.health.lastError
+                });
+            } else if (result.health.reachable && wasUnreachable) {
+                this.unreachableClusters.delete(result.name);
+                this.emit('change', {
+                    type: 'cluster.reachable',
+                    timestamp: globalState.lastUpdate,
+                    cluster: result.name
+                });
+            }
+        });
+
+        this.emit('change', {
+            type: 'refresh.completed',
+            timestamp: globalState.lastUpdate,
+            metrics: globalState.metrics
+        });
+    }
+
+    // Returns the cached state with the age of every cluster's data; clusters served from
+    // their last known good snapshot, or not refreshed within staleAfter, are marked stale
     getGlobalState() {
-        return this.globalCache.get(CACHE_KEYS.GLOBAL_STATE) || {
-            metrics: this.getEmptyMetrics(),
-            clusters: [],
-            lastUpdate: null
+        const state = this.globalCache.get(CACHE_KEYS.GLOBAL_STATE);
+        if (!state) {
+            return {
+                metrics: this.getEmptyMetrics(),
+                clusters: [],
+                lastUpdate: null,
+                stale: true,
+                ageSeconds: null
+            };
+        }
+
+        const now = Date.now();
+        const ageOf = timestamp => timestamp ? Math.max(0, now - Date.parse(timestamp)) : null;
+        const clusters = state.clusters.map(cluster => {
+            const age = ageOf(cluster.fetchedAt);
+            return {
+                ...cluster,
+                stale: cluster.stale || age === null || age > this.staleAfter,
+                ageSeconds: age === null ? null : Math.floor(age / 1000)
+            };
+        });
+        const age = ageOf(state.lastUpdate);
+
+        return {
+            ...state,
+            clusters,
+            stale: age > this.staleAfter || clusters.some(cluster => cluster.stale),
+            ageSeconds: Math.floor(age / 1000)
         };
     }
 
@@ -136,7 +563,8 @@ class ArgoVisor {
             failedApps: 0,
             outOfSyncApps: 0,
             unknownApps: 0,
-            processingApps: 0
+            processingApps: 0,
+            byProject: {}
         };
     }
 
@@ -146,90 +574,261 @@ class ArgoVisor {
         if (cachedToken) return cachedToken;
 
         try {
+            if (cluster.auth.type === 'token') {
+                const token = cluster.readStaticToken();
+                this.tokenCache.set(cacheKey, token, tokenTtl(token));
+                return token;
+            }
+
             const response = await cluster.axiosInstance.post(
                 `${cluster.url}/api/v1/session`,
                 { username: cluster.username, password: cluster.password }
             );
 
             if (response.data?.token) {
-                this.tokenCache.set(cacheKey, response.data.token, 3500);
+                this.tokenCache.set(cacheKey, response.data.token, tokenTtl(response.data.token));
+                cluster.lastTokenRefresh = new Date().toISOString();
+                this.clusterStats(cluster.name).tokenRefreshes++;
                 return response.data.token;
             }
             throw new Error('Token not received');
         } catch (error) {
             console.error(`[${cluster.name}] Token error: ${error.message}`);
+            error.phase = 'auth';
             throw error;
         }
     }
 
-    async getApplications(cluster) {
+    async getApplications(cluster, signal) {
         try {
-            const token = await this.getArgoCDToken(cluster);
-            const response = await cluster.axiosInstance.get(
-                `${cluster.url}/api/v1/applications`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Accept-Encoding': 'gzip, deflate, br',
-                        'Cache-Control': 'no-cache'
-                    },
-                    decompress: true,
-                    timeout: 30000
-                }
-            );
+            const data = await this.requestCluster(cluster, 'get', '/api/v1/applications', {
+                headers: {
+                    'Accept-Encoding': 'gzip, deflate, br',
+                    'Cache-Control': 'no-cache'
+                },
+                decompress: true,
+                signal
+            });
     
-            if (!response.data?.items) {
+            if (!data?.items) {
                 console.warn(`[${cluster.name}] Data returned empty`);
                 return [];
             }
     
-            return response.data.items;
+            return data.items;
         } catch (error) {
+            this.clusterStats(cluster.name).fetchErrors++;
             console.error(`[${cluster.name}] Could not get data: ${error.message}`);
-            return [];
+            throw error;
         }
     }
 
-    async processCluster(name, cluster) {
+    // Lists the applications of a cluster and writes its snapshot
+    async processCluster(name, cluster, signal) {
+        const watched = this.watchedResult(name, cluster);
+        if (watched) return watched;
+
+        const startTime = Date.now();
+        // Events arriving while the cluster is listed are applied again to the new list
+        this.pendingEvents[name] = [];
         try {
-            const apps = await this.getApplications(cluster);
-            
-            if (!apps || apps.length === 0) {
-                console.warn(`[${name}] No applications found or failed to fetch data`);
-                const error = new Error(`Failed to fetch applications from cluster ${name}`);
-                error.cluster = name;
-                throw error;
+            const apps = await this.getApplications(cluster, signal);
+            signal?.throwIfAborted();
+
+            if (apps.length === 0) {
+                console.warn(`[${name}] No applications found`);
             }
     
-            const mappedApps = apps.map(app => ({
-                name: app.metadata?.name || 'Unknown',
-                healthStatus: app.status?.health?.status || 'Unknown',
-                syncStatus: app.status?.sync?.status || 'Unknown',
-                metadata: app.metadata,
-                status: app.status,
-                spec: app.spec
-            }));
+            const mappedApps = this.applicationFilter.apply(name, apps.map(app => this.mapApplication(app)));
+            const health = this.recordClusterSuccess(name, Date.now() - startTime);
+            const fetchedAt = health.lastSuccess;
+            const previous = this.globalCache.get(snapshotKey(name));
+            this.globalCache.set(snapshotKey(name), {
+                applications: mappedApps,
+                projects: previous?.projects || [],
+                applicationSets: previous?.applicationSets || [],
+                fetchedAt
+            });
+            this.lastFullSync[name] = startTime;
+            this.pendingEvents[name].forEach(event => this.applyCachedEvent(name, event));
+            this.startWatcher(name, cluster);
     
             console.log(`[${name}] Successfully processed ${mappedApps.length} applications`);
-            return { name, url: cluster.url, applications: mappedApps };
+            return {
+                name,
+                url: cluster.url,
+                applications: mappedApps,
+                health,
+                stale: false,
+                fetchedAt
+            };
         } catch (error) {
             console.error(`[${name}] Process error: ${error.message}`);
+            error.cluster = name;
+            error.latencyMs = Date.now() - startTime;
             throw error;
+        } finally {
+            delete this.pendingEvents[name];
         }
     }
 
+    // AppProjects and ApplicationSets are listed every poll, also for watched clusters. A list that
+    // fails, e.g. without permission or on an ArgoCD without ApplicationSets, keeps its last value.
+    async withOrganization(name, cluster, result, signal) {
+        const snapshot = this.globalCache.get(snapshotKey(name));
+        const list = async (path, map, previous) => {
+            try {
+                const data = await this.requestCluster(cluster, 'get', path, { signal });
+                return (data?.items || []).map(map);
+            } catch (error) {
+                console.warn(`[${name}] Could not list ${path}: ${error.message}`);
+                return previous || [];
+            }
+        };
+
+        const [projects, applicationSets] = await Promise.all([
+            list('/api/v1/projects', mapProject, snapshot?.projects),
+            list('/api/v1/applicationsets', mapApplicationSet, snapshot?.applicationSets)
+        ]);
+        if (snapshot) Object.assign(snapshot, { projects, applicationSets });
+        return { ...result, projects, applicationSets };
+    }
+
+    // A watched cluster is served from its snapshot, which the stream keeps current. The full list
+    // is fetched again after the stream (re)connected, since deletions may have been missed, and
+    // every resyncInterval.
+    watchedResult(name, cluster) {
+        const watcher = this.watchers[name];
+        const snapshot = this.globalCache.get(snapshotKey(name));
+        const lastFullSync = this.lastFullSync[name] || 0;
+        if (!watcher?.connected || !snapshot ||
+            lastFullSync < watcher.connectedAt ||
+            Date.now() - lastFullSync > this.watchMode.resyncInterval) {
+            return null;
+        }
+
+        const health = this.recordClusterSuccess(name, this.clusterHealth[name]?.latencyMs ?? null);
+        snapshot.fetchedAt = health.lastSuccess;
+        console.log(`[${name}] ${snapshot.applications.length} applications up to date from the watch stream`);
+        return {
+            name,
+            url: cluster.url,
+            applications: snapshot.applications,
+            health,
+            stale: false,
+            fetchedAt: snapshot.fetchedAt
+        };
+    }
+
+    startWatcher(name, cluster) {
+        if (!(cluster.watch ?? this.watchMode.enabled)) return;
+
+        if (!this.watchers[name]) {
+            this.watchers[name] = new ApplicationWatcher(cluster, {
+                getToken: () => this.getArgoCDToken(cluster),
+                invalidateToken: () => this.invalidateToken(cluster),
+                onEvent: event => this.applyWatchEvent(name, event)
+            });
+        }
+        this.watchers[name].start();
+    }
+
+    stopWatcher(name) {
+        if (this.watchers[name]) {
+            this.watchers[name].stop();
+            delete this.watchers[name];
+        }
+    }
+
+    getWatchStatus(name) {
+        return this.watchers[name] ? this.watchers[name].describe() : null;
+    }
+
+    applyWatchEvent(name, event) {
+        this.pendingEvents[name]?.push(event);
+        this.applyCachedEvent(name, event);
+    }
+
+    applyCachedEvent(name, { type, application }) {
+        if (type === 'DELETED') {
+            this.removeCachedApplication(name, application.metadata.name);
+        } else {
+            this.updateCachedApplication(name, application);
+        }
+    }
+
+    recordClusterSuccess(name, latencyMs) {
+        const now = new Date().toISOString();
+        const health = this.clusterHealth[name] || {};
+        this.clusterHealth[name] = {
+            ...health,
+            reachable: true,
+            lastAttempt: now,
+            lastSuccess: now,
+            consecutiveFailures: 0,
+            latencyMs
+        };
+        return { ...this.clusterHealth[name] };
+    }
+
+    recordClusterFailure(name, error) {
+        const now = new Date().toISOString();
+        const health = this.clusterHealth[name] || {};
+        this.clusterHealth[name] = {
+            ...health,
+            reachable: false,
+            lastAttempt: now,
+            lastSuccess: health.lastSuccess || null,
+            lastError: { ...classifyError(error), at: now },
+            consecutiveFailures: (health.consecutiveFailures || 0) + 1,
+            latencyMs: error.latencyMs ?? null
+        };
+        return { ...this.clusterHealth[name] };
+    }
+
+    getClusterHealth(name) {
+        return this.clusterHealth[name] || {
+            reachable: null,
+            lastAttempt: null,
+            lastSuccess: null,
+            lastError: null,
+            consecutiveFailures: 0,
+            latencyMs: null
+        };
+    }
+
+    mapApplication(app) {
+        return {
+            name: app.metadata?.name || 'Unknown',
+            healthStatus: app.status?.health?.status || 'Unknown',
+            syncStatus: app.status?.sync?.status || 'Unknown',
+            metadata: app.metadata,
+            status: app.status,
+            spec: app.spec
+        };
+    }
+
+    // Polls at most polling.concurrency clusters at a time
     async processClustersInBatches() {
         try {
-            const clusterPromises = Object.entries(this.clusters).map(([name, cluster]) =>
-                this.processCluster(name, cluster)
-                    .catch(error => {
-                        console.error(`[${name}] Processing error: ${error.message}`);
-                        return { name, url: cluster.url, applications: [] };
-                    })
-            );
+            const results = await Promise.map(Object.entries(this.clusters), async ([name, cluster]) => {
+                const skipped = this.skippedResult(name, cluster);
+                if (skipped) return skipped;
+
+                this.lastPoll[name] = Date.now();
+                try {
+                    const result = await this.pollWithDeadline(name, cluster);
+                    this.breakers[name]?.recordSuccess();
+                    return result;
+                } catch (error) {
+                    console.error(`[${name}] Processing error: ${error.message}`);
+                    this.breakers[name]?.recordFailure();
+                    return this.lastKnownGood(name, cluster, this.recordClusterFailure(name, error));
+                }
+            }, { concurrency: this.polling.concurrency });
 
-            const results = await Promise.all(clusterPromises);
-            console.log(`${results.length} clusters processed successfully`);
+            const failed = results.filter(result => !result.health.reachable).length;
+            console.log(`${results.length - failed}/${results.length} clusters processed successfully`);
             return results;
         } catch (error) {
             console.error(`Batch processing error: ${error.message}`);
@@ -237,134 +836,245 @@ class ArgoVisor {
         }
     }
 
-    async sendSlackMessage(message, clusterUrl = null) {
+    // Bounds a whole poll of a cluster, retries and the project and ApplicationSet lists included,
+    // so one slow cluster cannot hold up the cycle. Its requests still running are aborted. A poll
+    // only fails when the applications were not listed in time; once they were, the deadline cuts
+    // the project and ApplicationSet lists short and they keep their last value.
+    async pollWithDeadline(name, cluster) {
+        const controller = new AbortController();
+        let timer;
+        const expired = new Promise(resolve => {
+            timer = setTimeout(() => {
+                const error = Object.assign(
+                    new Error(`Poll did not finish within ${this.polling.deadline}ms`),
+                    { code: 'ETIMEDOUT' }
+                );
+                controller.abort(error);
+                resolve(error);
+            }, this.polling.deadline);
+        });
+
         try {
-            let blocks = [
-                {
-                    type: "section",
-                    text: {
-                        type: "mrkdwn",
-                        text: message
-                    }
-                }
-            ];
-    
-            if (clusterUrl) {
-                blocks.push({
-                    type: "actions",
-                    elements: [
-                        {
-                            type: "button",
-                            text: {
-                                type: "plain_text",
-                                text: "ArgoCD",
-                                emoji: true
-                            },
-                            url: clusterUrl,
-                            style: "primary"
-                        },
-                        {
-                            type: "button",
-                            text: {
-                                type: "plain_text",
-                                text: "ArgoVisor",
-                                emoji: true
-                            },
-                            url: process.env.ARGOVISOR_URL || "http://localhost:3000",
-                            style: "primary"
-                        }
-                    ]
-                });
-            }
-    
-            const payload = { blocks };
-            await this.axiosInstance.post(this.slackWebhookUrl, payload);
-            console.info(`Alert sent: ${message.split('\n')[0]}`);
-        } catch (error) {
-            console.error(`Failed to send Slack message: ${error.message}`);
-            throw error;
+            const result = await Promise.race([
+                this.processCluster(name, cluster, controller.signal),
+                expired.then(error => Promise.reject(error))
+            ]);
+            return await Promise.race([
+                this.withOrganization(name, cluster, result, controller.signal),
+                expired.then(() => {
+                    const snapshot = this.globalCache.get(snapshotKey(name));
+                    console.warn(`[${name}] Projects and ApplicationSets not listed within ${this.polling.deadline}ms`);
+                    return { ...result, projects: snapshot?.projects || [], applicationSets: snapshot?.applicationSets || [] };
+                })
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Clusters with an open circuit, or a pollInterval that has not elapsed yet, are not polled
+    // this cycle; they keep their previous result
+    skippedResult(name, cluster) {
+        const previous = this.globalCache.get(CACHE_KEYS.GLOBAL_STATE)?.clusters.find(result => result.name === name);
+        const breaker = this.breakers[name];
+
+        if (breaker && !breaker.allowRequest()) {
+            console.warn(`[${name}] Circuit open, skipping poll until ${breaker.describe().retryAt}`);
+            return this.lastKnownGood(name, cluster, this.getClusterHealth(name));
+        }
+
+        if (previous && cluster.pollInterval && Date.now() - (this.lastPoll[name] || 0) < cluster.pollInterval) {
+            return previous;
+        }
+        return null;
+    }
+
+    getCircuitStatus(name) {
+        return this.breakers[name] ? this.breakers[name].describe() : null;
+    }
+
+    // Result for a cluster that could not be read: its last successful snapshot, if there is one
+    lastKnownGood(name, cluster, health) {
+        const snapshot = this.globalCache.get(snapshotKey(name));
+        if (snapshot) {
+            console.warn(`[${name}] Serving ${snapshot.applications.length} applications from ${snapshot.fetchedAt}`);
         }
+
+        return {
+            name,
+            url: cluster.url,
+            applications: snapshot ? snapshot.applications : [],
+            projects: snapshot?.projects || [],
+            applicationSets: snapshot?.applicationSets || [],
+            health,
+            stale: true,
+            fetchedAt: snapshot ? snapshot.fetchedAt : null
+        };
     }
 
-    async sendSlackUpdates(results) {
+    notifiersFor(clusterName, channels = null) {
+        const names = channels || this.clusters[clusterName]?.notifications;
+        if (!names || names.length === 0) return this.notifiers;
+        return this.notifiers.filter(notifier => names.includes(notifier.name));
+    }
+
+    // Delivers an alert to its routed channels; returns true if at least one channel accepted it
+    async notify(alert, channels = null) {
+        const notifiers = this.notifiersFor(alert.cluster, channels)
+            .filter(notifier => !notifier.accepts || notifier.accepts(alert));
+        if (notifiers.length === 0) {
+            console.warn(`[${alert.cluster}] No notification channels configured`);
+            return false;
+        }
+
+        const outcomes = await Promise.all(notifiers.map(async notifier => {
+            try {
+                await notifier.send(alert);
+                console.info(`[${alert.cluster}] ${alert.event} alert sent via ${notifier.name}`);
+                return true;
+            } catch (error) {
+                console.error(`[${alert.cluster}] Failed to send alert via ${notifier.name}: ${error.message}`);
+                return false;
+            }
+        }));
+
+        return outcomes.some(Boolean);
+    }
+
+    async sendAlerts(results) {
         try {
             const now = Date.now();
-            
-            results.forEach(result => {
-                const problematicApps = result.applications
-                    .filter(app => !app.name.includes('argocd-apps'))
-                    .filter(app => 
-                        app.healthStatus === 'Unknown' || 
-                        app.healthStatus === 'Degraded' ||
-                        app.healthStatus === 'Missing' ||
-                        app.syncStatus === 'OutOfSync'
+            // Picks up acknowledgements and silences created on other instances
+            await Promise.all([this.alertManager.load(), this.silences.load()]);
+            this.silences.prune(now);
+            this.alertManager.prune(now);
+
+            for (const result of results) {
+                await this.sendClusterAlert(result, now);
+
+                // A cluster that could not be read must not resolve its open alerts
+                if (!result.health.reachable) continue;
+
+                const firing = this.alertRules.evaluate(result, now);
+
+                for (const rule of this.alertRules.rules) {
+                    const matched = firing.get(rule.name);
+                    const silenced = matched.filter(app =>
+                        this.silences.findSilence(result.name, app, { severity: rule.severity, rule: rule.name }, now)
                     );
+                    const problematicApps = matched.filter(app => !silenced.includes(app));
+
+                    if (silenced.length > 0) {
+                        console.log(`[${result.name}] ${silenced.length} apps silenced for rule ${rule.name}`);
+                    }
 
-                if (problematicApps.length > 0) {
-                    console.log(`[${result.name}] Problematic Applications:
-                        ${problematicApps.map(app => `- ${app.name}: ${app.healthStatus === 'Healthy' ? '' : app.healthStatus}${app.syncStatus !== 'Synced' ? `${app.healthStatus === 'Healthy' ? '' : '/'}${app.syncStatus}` : ''}`).join('\n')}
+                    if (problematicApps.length > 0) {
+                        console.log(`[${result.name}] Problematic Applications (${rule.name}/${rule.severity}):
+                        ${problematicApps.map(app => `- ${app.name}: ${this.alertRules.reasons(result.name, app.name).map(reason => reason.reason).join('/')}`).join('\n')}
                     `);
-                }
-            });
+                    }
 
-            for (const result of results) {
-                const problematicApps = result.applications
-                    .filter(app => !app.name.includes('argocd-apps'))
-                    .filter(app => 
-                        app.healthStatus === 'Unknown' || 
-                        app.healthStatus === 'Degraded' ||
-                        app.healthStatus === 'Missing' ||
-                        app.syncStatus === 'OutOfSync'
-                    );
+                    const { problems, recovered } = this.alertManager.reconcile(result.name, rule, problematicApps, silenced, now);
+
+                    if (problems.length > 0) {
+                        const alert = this.buildAlert('problem', result, problems, rule);
+                        if (await this.notify(alert, rule.channels)) {
+                            this.alertManager.markNotified(problems, now);
+                            console.log(`[${result.name}] Alert sent for ${problems.length} problematic apps`);
+                        }
+                    }
 
-                const lastAlert = this.lastAlerts.get(result.name);
-                const shouldSendAlert = !lastAlert || (now - lastAlert > this.alertInterval);
-
-                if (problematicApps.length > 0 && shouldSendAlert) {
-                    const message = this.formatAlert(result.name, problematicApps, result.url);
-                    await this.sendSlackMessage(message, result.url);
-                    this.lastAlerts.set(result.name, now);
-                    console.log(`[${result.name}] Alert sent for ${problematicApps.length} problematic apps`);
-                } else if (problematicApps.length > 0) {
-                    console.log(`[${result.name}] Alert skipped - Less than 24 hours since last alert`);
-                } else if (this.lastAlerts.has(result.name)) {
-                    const recoveryMessage = `:argo: *${result.name}* :argo:\nAll issues have been resolved.`;
-                    await this.sendSlackMessage(recoveryMessage);
-                    this.lastAlerts.delete(result.name);
-                    console.log(`[${result.name}] Recovery alert sent`);
+                    if (recovered.length > 0) {
+                        await this.notify(this.buildAlert('recovery', result, recovered, rule), rule.channels);
+                        console.log(`[${result.name}] Recovery alert sent for ${recovered.length} apps`);
+                    }
                 }
             }
         } catch (error) {
-            console.error('Slack update error:', error);
+            console.error('Alert update error:', error);
             throw error;
+        } finally {
+            await Promise.all([this.alertManager.flush(), this.silences.flush()]);
         }
     }
 
-    formatAlert(clusterName, apps, clusterUrl) {
-        const lines = [
-            `:argo: *${clusterName}* :argo:\n`,
-            `Applications requiring attention:`
-        ];
+    // Cluster reachability alerts fire after a number of consecutive failed polls
+    async sendClusterAlert(result, now) {
+        const silenced = !result.health.reachable && this.silences.findSilence(
+            result.name,
+            { name: '' },
+            { severity: this.clusterAlert.severity, rule: CLUSTER_UNREACHABLE_RULE },
+            now
+        );
+        const transition = this.alertManager.reconcileCluster(
+            result.name,
+            result.health,
+            this.clusterAlert,
+            Boolean(silenced),
+            now
+        );
+        if (!transition) return;
 
-        const groupedApps = {
-            Missing: apps.filter(app => app.healthStatus === 'Missing'),
-            Unknown: apps.filter(app => app.healthStatus === 'Unknown'),
-            Degraded: apps.filter(app => app.healthStatus === 'Degraded'),
-            OutOfSync: apps.filter(app => app.syncStatus === 'OutOfSync' && app.healthStatus === 'Healthy')
+        const alert = {
+            event: transition.event,
+            rule: CLUSTER_UNREACHABLE_RULE,
+            severity: this.clusterAlert.severity,
+            cluster: result.name,
+            clusterUrl: result.url,
+            timestamp: new Date(now).toISOString(),
+            alertId: transition.alert.id,
+            error: result.health.lastError,
+            consecutiveFailures: result.health.consecutiveFailures,
+            lastSuccess: result.health.lastSuccess,
+            apps: []
         };
 
-        Object.entries(groupedApps).forEach(([status, statusApps]) => {
-            if (statusApps.length > 0) {
-                lines.push(`\n*${status}:*`);
-                statusApps.forEach(app => {
-                    const appUrl = `${clusterUrl}/applications/${app.name}`;
-                    const statusText = status === 'OutOfSync' ? 'OutOfSync' : app.healthStatus;
-                    lines.push(`• <${appUrl}|${app.name}>: ${statusText}`);
-                });
-            }
-        });
+        const sent = await this.notify(alert);
+        if (sent && transition.event === 'unreachable') {
+            this.alertManager.markNotified([transition], now);
+        }
+        console.log(`[${result.name}] Cluster ${transition.event} alert ${sent ? 'sent' : 'not delivered'}`);
+    }
 
-        return lines.join('\n');
+    // Completed and failed syncs are announced per cluster; new revisions only show up in the feed
+    async sendDeployNotifications(clusterResults, deployments) {
+        if (!this.deployNotifications.enabled) return;
+
+        for (const result of clusterResults) {
+            const syncs = deployments.filter(entry => entry.type === 'sync' && entry.cluster === result.name);
+            if (syncs.length === 0) continue;
+
+            await this.notify({
+                event: 'deploy',
+                cluster: result.name,
+                clusterUrl: result.url,
+                timestamp: new Date().toISOString(),
+                deployments: syncs
+            }, this.deployNotifications.channels);
+        }
+    }
+
+    buildAlert(event, result, entries, rule) {
+        return {
+            event,
+            rule: rule.name,
+            severity: rule.severity,
+            cluster: result.name,
+            clusterUrl: result.url,
+            timestamp: new Date().toISOString(),
+            apps: entries.map(({ app, alert }) => {
+                const current = app || result.applications.find(candidate => candidate.name === alert.application);
+                return {
+                    alertId: alert.id,
+                    name: alert.application,
+                    healthStatus: current?.healthStatus || 'Unknown',
+                    syncStatus: current?.syncStatus || 'Unknown',
+                    since: alert.startsAt,
+                    reasons: event === 'problem' && current ? this.alertRules.reasons(result.name, current.name) : [],
+                    resources: event === 'problem' ? unhealthyResources(current) : []
+                };
+            })
+        };
     }
 
     calculateMetrics(results) {
@@ -385,6 +1095,7 @@ class ArgoVisor {
                 });
             }
         });
+        metrics.byProject = metricsByProject(results);
 
         return metrics;
     }
@@ -401,10 +1112,236 @@ class ArgoVisor {
             lastUpdate: state.lastUpdate,
             nextUpdate: nextUpdate.toISOString(),
             remainingSeconds: Math.max(0, Math.floor((nextUpdate - now) / 1000)),
-            isUpdating: this.isUpdating
+            isUpdating: this.isUpdating,
+            stale: state.stale,
+            staleClusters: state.clusters.filter(cluster => cluster.stale).map(cluster => cluster.name)
         };
     }
 
+    getCluster(name) {
+        const cluster = this.clusters[name];
+        if (!cluster) {
+            const error = new Error(`Cluster ${name} not found`);
+            error.status = 404;
+            throw error;
+        }
+        return cluster;
+    }
+
+    invalidateToken(cluster) {
+        this.tokenCache.del(`token_${cluster.name}`);
+    }
+
+    async requestCluster(cluster, method, path, options = {}, isRetry = false) {
+        const token = await this.getArgoCDToken(cluster);
+        try {
+            const response = await retry(() => cluster.axiosInstance.request({
+                method,
+                url: `${cluster.url}${path}`,
+                timeout: cluster.timeout || this.polling.timeout,
+                ...options,
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    ...options.headers
+                }
+            }), {
+                retries: RETRIED_METHODS.includes(method) ? this.polling.retries : 0,
+                baseDelay: this.polling.retryDelay,
+                maxDelay: this.polling.retryMaxDelay,
+                shouldRetry: isTransient,
+                onRetry: (error, attempt, delay) => console.warn(
+                    `[${cluster.name}] ${method.toUpperCase()} ${path} failed (${error.response?.status || error.code}), retry ${attempt} in ${delay}ms`
+                )
+            });
+            return response.data;
+        } catch (error) {
+            // Expired or revoked tokens are answered with 401; log in again once before giving up
+            if (error.response?.status === 401 && !isRetry) {
+                console.warn(`[${cluster.name}] Token rejected, re-authenticating`);
+                this.invalidateToken(cluster);
+                return this.requestCluster(cluster, method, path, options, true);
+            }
+
+            const message = error.response?.data?.message || error.response?.data?.error || error.message;
+            const wrapped = new Error(`[${cluster.name}] ${method.toUpperCase()} ${path} failed: ${message}`);
+            wrapped.status = error.response?.status || 502;
+            wrapped.httpStatus = error.response?.status;
+            wrapped.code = error.code;
+            wrapped.cluster = cluster.name;
+            throw wrapped;
+        }
+    }
+
+    applicationPath(appName, suffix = '') {
+        return `/api/v1/applications/${encodeURIComponent(appName)}${suffix}`;
+    }
+
+    // The application lists of a cluster: its snapshot, which the next cycle serves, and the one
+    // of the state served now. They differ while a cycle that listed the cluster again runs.
+    cachedApplicationLists(clusterName) {
+        const snapshot = this.globalCache.get(snapshotKey(clusterName));
+        const result = this.globalCache.get(CACHE_KEYS.GLOBAL_STATE)?.clusters.find(cluster => cluster.name === clusterName);
+        return [...new Set([snapshot?.applications, result?.applications].filter(Boolean))];
+    }
+
+    // Replaces the cached copy of an application with the object ArgoCD returned for an action
+    updateCachedApplication(clusterName, app) {
+        if (!app?.metadata?.name) return;
+
+        const mapped = this.mapApplication(app);
+        // An application can leave the filter when its labels or annotations change
+        if (!this.applicationFilter.matches(clusterName, mapped)) {
+            this.removeCachedApplication(clusterName, mapped.name);
+            return;
+        }
+
+        this.cachedApplicationLists(clusterName).forEach(applications => {
+            const index = applications.findIndex(existing => existing.name === mapped.name);
+            if (index === -1) {
+                applications.push(mapped);
+            } else if (!isOlder(mapped, applications[index])) {
+                applications[index] = mapped;
+            }
+        });
+        this.scheduleMetrics();
+    }
+
+    removeCachedApplication(clusterName, appName) {
+        this.cachedApplicationLists(clusterName).forEach(applications => {
+            const index = applications.findIndex(existing => existing.name === appName);
+            if (index !== -1) applications.splice(index, 1);
+        });
+        this.scheduleMetrics();
+    }
+
+    scheduleMetrics() {
+        if (this.metricsTimer) return;
+
+        this.metricsTimer = setTimeout(() => {
+            this.metricsTimer = null;
+            const state = this.globalCache.get(CACHE_KEYS.GLOBAL_STATE);
+            if (state) state.metrics = this.calculateMetrics(state.clusters);
+        }, METRICS_DELAY);
+        this.metricsTimer.unref();
+    }
+
+    async syncApplication(clusterName, appName, options = {}) {
+        const cluster = this.getCluster(clusterName);
+        const body = {
+            prune: Boolean(options.prune),
+            dryRun: Boolean(options.dryRun)
+        };
+        if (options.revision) body.revision = options.revision;
+        if (options.resources) body.resources = options.resources;
+        if (options.force) body.strategy = { hook: { force: true } };
+        if (options.syncOptions) body.syncOptions = { items: options.syncOptions };
+
+        const app = await this.requestCluster(cluster, 'post', this.applicationPath(appName, '/sync'), { data: body });
+        console.log(`[${clusterName}] Sync started for ${appName}${body.dryRun ? ' (dry run)' : ''}`);
+        if (!body.dryRun) this.updateCachedApplication(clusterName, app);
+        return app;
+    }
+
+    async syncCluster(clusterName, options = {}) {
+        this.getCluster(clusterName);
+        const { applications } = options;
+        if (applications !== undefined && applications !== null &&
+            !(Array.isArray(applications) && applications.every(name => typeof name === 'string'))) {
+            throw Object.assign(new Error('applications must be an array of application names'), { status: 400 });
+        }
+        // A revision or a set of resources belongs to particular applications, never to a whole cluster
+        if (!applications && (options.revision || options.resources)) {
+            throw Object.assign(new Error('revision and resources need a list of applications'), { status: 400 });
+        }
+        const state = this.getGlobalState();
+        const result = state.clusters.find(cluster => cluster.name === clusterName);
+        const available = result ? result.applications : [];
+
+        const targets = options.applications ||
+            available
+                .filter(app => options.all || app.syncStatus === 'OutOfSync')
+                .map(app => app.name);
+
+        const outcomes = [];
+        for (const appName of targets) {
+            try {
+                const app = await this.syncApplication(clusterName, appName, options);
+                outcomes.push({
+                    application: appName,
+                    success: true,
+                    phase: app?.status?.operationState?.phase || null
+                });
+            } catch (error) {
+                outcomes.push({ application: appName, success: false, error: error.message });
+            }
+        }
+        return outcomes;
+    }
+
+    async refreshApplication(clusterName, appName, type = 'hard') {
+        const cluster = this.getCluster(clusterName);
+        const app = await this.requestCluster(cluster, 'get', this.applicationPath(appName), {
+            params: { refresh: type }
+        });
+        console.log(`[${clusterName}] ${type} refresh requested for ${appName}`);
+        this.updateCachedApplication(clusterName, app);
+        return app;
+    }
+
+    async rollbackApplication(clusterName, appName, options = {}) {
+        const cluster = this.getCluster(clusterName);
+        const body = {
+            id: Number(options.id),
+            prune: Boolean(options.prune),
+            dryRun: Boolean(options.dryRun)
+        };
+
+        const app = await this.requestCluster(cluster, 'post', this.applicationPath(appName, '/rollback'), { data: body });
+        console.log(`[${clusterName}] Rollback of ${appName} to history ${body.id} started`);
+        if (!body.dryRun) this.updateCachedApplication(clusterName, app);
+        return app;
+    }
+
+    async terminateOperation(clusterName, appName) {
+        const cluster = this.getCluster(clusterName);
+        await this.requestCluster(cluster, 'delete', this.applicationPath(appName, '/operation'));
+        console.log(`[${clusterName}] Operation terminated for ${appName}`);
+
+        const app = await this.requestCluster(cluster, 'get', this.applicationPath(appName));
+        this.updateCachedApplication(clusterName, app);
+        return app;
+    }
+
+    getCachedApplication(clusterName, appName) {
+        const result = this.getGlobalState().clusters.find(cluster => cluster.name === clusterName);
+        return result?.applications.find(app => app.name === appName) || null;
+    }
+
+    async getResourceTree(clusterName, appName, options = {}) {
+        const cluster = this.getCluster(clusterName);
+        const tree = await this.requestCluster(cluster, 'get', this.applicationPath(appName, '/resource-tree'));
+        return normalizeTree(tree, options);
+    }
+
+    async getManagedResources(clusterName, appName, options = {}) {
+        const cluster = this.getCluster(clusterName);
+        const data = await this.requestCluster(cluster, 'get', this.applicationPath(appName, '/managed-resources'));
+        return normalizeManagedResources(data, this.getCachedApplication(clusterName, appName), options);
+    }
+
+    // ArgoCD narrows the events to one resource when its namespace, name and uid are all given
+    async getApplicationEvents(clusterName, appName, resource = {}) {
+        const cluster = this.getCluster(clusterName);
+        const params = {};
+        if (resource.name) {
+            params.resourceNamespace = resource.namespace;
+            params.resourceName = resource.name;
+            params.resourceUID = resource.uid;
+        }
+        const data = await this.requestCluster(cluster, 'get', this.applicationPath(appName, '/events'), { params });
+        return normalizeEvents(data);
+    }
+
     async forceRefresh() {
         if (this.isUpdating) {
             throw new Error('Update already in progress');
@@ -1,37 +1,105 @@
 // src/services/ArgoVisorApi.js
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const compression = require('compression');
-const { ArgoVisor } = require('./ArgoVisor');
+const { ArgoVisor, ArgoCDCluster } = require('./ArgoVisor');
+const ClusterRegistry = require('./ClusterRegistry');
+const EventStream = require('./EventStream');
+const { parsePositiveInteger, parseQuery, queryApplications, paginate, project } = require('./ApplicationQuery');
+const { CONTENT_TYPES, renderMetrics } = require('./MetricsExporter');
+const { buildAvailabilityReport, toCsv } = require('./AvailabilityReport');
+const { compareApplications } = require('./ApplicationComparison');
+const { metricsByProject, summarizeProjects, summarizeApplicationSets } = require('./ProjectOverview');
+const { createStorage } = require('../storage');
+const {
+    createAuth,
+    requireRole,
+    requireCluster,
+    requireAllClusters,
+    canAccessCluster,
+    canAccessClusterMatcher
+} = require('../auth');
+const { parseTimestamp } = require('../utils/time');
+const { requestContext } = require('../utils/logger');
 const config = require('../../config/config');
 
-const app = express();
-const port = process.env.PORT || config.server.port;
-
-// Excluded applications list
-const EXCLUDED_APPS = process.env.EXCLUDED_APPS ? 
-    process.env.EXCLUDED_APPS.split(',') : 
-    ['argocd-apps', 'argocd-initialize'];
-
-// Middleware
-app.use(compression());
-app.use(cors({
-    origin: process.env.ALLOWED_ORIGINS ? 
-        process.env.ALLOWED_ORIGINS.split(',') : 
-        ['http://localhost:8080'],
-    methods: ['GET', 'POST'],
-    credentials: true,
-    exposedHeaders: ['Content-Length', 'Content-Type'],
-}));
-app.use(express.json());
-
-// Request logging middleware
-app.use((req, res, next) => {
-    console.info(`${req.method} ${req.url}`);
-    next();
-});
-
-const monitor = new ArgoVisor(config.clusters, config.slack.webhookUrl);
+function parseHistoryQuery(query) {
+    return {
+        since: parseTimestamp(query.since),
+        until: parseTimestamp(query.until),
+        limit: parsePositiveInteger(query.limit, 'limit')
+    };
+}
+
+// Audited routes with the request body fields worth recording; anything else the body holds,
+// passwords included, is left out
+const AUDIT_ACTIONS = {
+    'POST /refresh': { action: 'refresh', fields: [] },
+    'POST /clusters': { action: 'cluster.add', fields: ['name', 'url', 'username', 'notifications', 'watch'] },
+    'PUT /clusters/:name': { action: 'cluster.update', fields: ['url', 'username', 'notifications', 'watch'] },
+    'DELETE /clusters/:name': { action: 'cluster.remove', fields: [] },
+    'POST /clusters/:name/sync': { action: 'cluster.sync', fields: ['applications', 'all', 'prune', 'dryRun', 'force'] },
+    'POST /applications/:cluster/:app/sync': {
+        action: 'application.sync',
+        fields: ['revision', 'prune', 'dryRun', 'force', 'resources', 'syncOptions']
+    },
+    'POST /applications/:cluster/:app/refresh': { action: 'application.refresh', fields: ['type'] },
+    'POST /applications/:cluster/:app/rollback': { action: 'application.rollback', fields: ['id', 'prune', 'dryRun'] },
+    'DELETE /applications/:cluster/:app/operation': { action: 'application.terminate', fields: [] },
+    'POST /alerts/:id/ack': { action: 'alert.acknowledge', fields: ['comment'] },
+    'POST /silences': { action: 'silence.create', fields: ['matchers', 'duration', 'endsAt', 'comment'] },
+    'DELETE /silences/:id': { action: 'silence.expire', fields: [] }
+};
+
+const AUDITED_METHODS = ['POST', 'PUT', 'DELETE'];
+
+// Larger parameters are replaced by a note of their size
+const MAX_AUDIT_PARAMETERS = 4096;
+const MAX_AUDIT_ERROR = 500;
+
+// /events takes its token from the query string, which must not end up in the logs
+const loggedUrl = url => url.replace(/([?&]access_token=)[^&]*/gi, '$1********');
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Null for requests that did not reach an audited route
+function auditEntry(req, res, startTime) {
+    const audited = req.route && AUDIT_ACTIONS[`${req.method} ${req.route.path}`];
+    if (!audited) return null;
+
+    const params = req.route.path === '/clusters' ? { name: req.body?.name } : req.params;
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    let parameters = {
+        ...req.params,
+        ...Object.fromEntries(audited.fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]))
+    };
+    const size = JSON.stringify(parameters).length;
+    if (size > MAX_AUDIT_PARAMETERS) {
+        parameters = { ...req.params, truncated: true, size };
+    }
+
+    const result = res.statusCode < 400 ? 'success' :
+        res.statusCode === 401 || res.statusCode === 403 ? 'denied' : 'failure';
+    return {
+        requestId: req.id,
+        actor: req.user?.name || null,
+        role: req.user?.role || null,
+        authType: req.user?.type || null,
+        action: audited.action,
+        cluster: typeof params.cluster === 'string' ? params.cluster :
+            typeof params.name === 'string' ? params.name : null,
+        application: params.app || null,
+        parameters,
+        result,
+        status: res.statusCode,
+        error: typeof res.locals.error === 'string' ? res.locals.error.slice(0, MAX_AUDIT_ERROR) : null,
+        durationMs: Date.now() - startTime
+    };
+}
+
+// Authenticated callers act under their own name; without authentication the request may name someone
+const actor = req => req.user.type === 'none' ? req.body?.by || req.body?.createdBy : req.user.name;
 
 function calculateFilteredMetrics(clusters) {
     const metrics = {
@@ -42,15 +110,16 @@ function calculateFilteredMetrics(clusters) {
         failedApps: 0,
         outOfSyncApps: 0,
         unknownApps: 0,
-        processingApps: 0
+        processingApps: 0,
+        unreachableClusters: 0,
+        staleClusters: 0
     };
 
     clusters.forEach(cluster => {
-        const filteredApps = (cluster.applications || []).filter(app => 
-            !EXCLUDED_APPS.includes(app.name)
-        );
+        if (cluster.health && !cluster.health.reachable) metrics.unreachableClusters++;
+        if (cluster.stale) metrics.staleClusters++;
 
-        filteredApps.forEach(app => {
+        (cluster.applications || []).forEach(app => {
             metrics.totalApps++;
             
             // Health status metrics
@@ -65,107 +134,677 @@ function calculateFilteredMetrics(clusters) {
             if (app.syncStatus === 'Processing') metrics.processingApps++;
         });
     });
+    metrics.byProject = metricsByProject(clusters);
 
     return metrics;
 }
 
-// API Endpoints
-app.get('/test', (req, res) => {
-    const state = monitor.getGlobalState();
-    res.json({
-        status: 'API is working',
-        lastUpdate: state.lastUpdate,
-        clusterCount: Object.keys(config.clusters).length
+// Builds the monitor and its cluster registry from the configuration; the monitor is not started
+function createMonitor(settings = config) {
+    const registry = new ClusterRegistry({
+        ...settings.clusterRegistry,
+        validator: ArgoCDCluster.fromConfig
+    });
+    const monitor = new ArgoVisor(registry.load(), settings.slack.webhookUrl, {
+        storage: createStorage(settings.storage),
+        leaderElection: settings.leaderElection,
+        watch: settings.watch,
+        polling: settings.polling,
+        history: settings.history,
+        audit: settings.audit,
+        filters: settings.filters,
+        reports: settings.reports,
+        deployments: settings.deployments,
+        notifications: settings.notifications,
+        alerts: settings.alerts
+    });
+    return { monitor, registry };
+}
+
+// Builds the Express app without listening or starting the monitor, so it can be embedded;
+// index.js runs it. A monitor passed in comes with its registry.
+function createApp(options = {}) {
+    const settings = options.config || config;
+    const { monitor, registry } = options.monitor ? options : createMonitor(settings);
+    const eventStream = new EventStream(monitor);
+
+    const app = express();
+    app.locals.monitor = monitor;
+    app.locals.eventStream = eventStream;
+
+    // Middleware
+    app.use(compression());
+    app.use(cors({
+        origin: process.env.ALLOWED_ORIGINS ? 
+            process.env.ALLOWED_ORIGINS.split(',') : 
+            ['http://localhost:8080'],
+        methods: ['GET', 'POST', 'PUT', 'DELETE'],
+        credentials: true,
+        exposedHeaders: ['Content-Length', 'Content-Type'],
+    }));
+    app.use(express.json());
+
+    // Every request gets an ID, or keeps the X-Request-Id a proxy gave it; whatever is logged
+    // while it is served, in the API and in the monitor, carries that ID
+    app.use((req, res, next) => {
+        const header = req.get('X-Request-Id');
+        req.id = header && REQUEST_ID.test(header) ? header : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+        requestContext.run({ requestId: req.id }, next);
     });
-});
 
-app.get('/metrics', (req, res) => {
-    console.info('Metrics endpoint called');
+    // Request logging middleware
+    app.use((req, res, next) => {
+        console.info(`${req.method} ${loggedUrl(req.url)}`);
+        next();
+    });
+
+    // Everything but the health check requires authentication
+    const PUBLIC_PATHS = ['/test'];
+    const authenticate = createAuth(settings.auth);
+    app.use((req, res, next) => PUBLIC_PATHS.includes(req.path) ? next() : authenticate(req, res, next));
+
+    // Changes are audited once they are answered, including refused and failed attempts of
+    // authenticated callers
+    app.use((req, res, next) => {
+        if (!AUDITED_METHODS.includes(req.method)) return next();
 
-    const state = monitor.getGlobalState();
-    if (!state.metrics) {
-        return res.status(503).json({
-            error: 'Data not ready yet'
+        const startTime = Date.now();
+        const json = res.json.bind(res);
+        res.json = body => {
+            if (res.statusCode >= 400) res.locals.error = body?.error;
+            return json(body);
+        };
+        res.on('finish', () => {
+            const entry = auditEntry(req, res, startTime);
+            if (entry) requestContext.run({ requestId: req.id }, () => monitor.audit.record(entry));
         });
-    }
+        next();
+    });
 
-    const filteredMetrics = calculateFilteredMetrics(state.clusters);
-    res.json(filteredMetrics);
-});
+    // The cached state reduced to the clusters the caller may see
+    function scopedState(req) {
+        const state = monitor.getGlobalState();
+        return {
+            ...state,
+            clusters: state.clusters.filter(cluster => canAccessCluster(req.user, cluster.name))
+        };
+    }
 
-app.get('/applications', async (req, res) => {
-    try {
-        console.info('Applications endpoint called');
+    // API Endpoints
+    app.get('/test', (req, res) => {
         const state = monitor.getGlobalState();
-        
-        if (!state.clusters) {
+        res.json({
+            status: 'API is working',
+            lastUpdate: state.lastUpdate,
+            clusterCount: Object.keys(monitor.clusters).length
+        });
+    });
+
+    app.get('/metrics', requireRole('viewer'), (req, res) => {
+        console.info('Metrics endpoint called');
+
+        const state = scopedState(req);
+        if (!state.metrics) {
             return res.status(503).json({
                 error: 'Data not ready yet'
             });
         }
 
-        const formattedClusters = state.clusters.map(cluster => ({
-            name: cluster.name,
-            url: cluster.url,
-            applications: (cluster.applications || []).filter(app => 
-                !EXCLUDED_APPS.includes(app.name)
-            )
-        }));
+        // Scrapers announce the exposition version, so the offered types carry it too
+        const negotiated = req.accepts([
+            'application/json',
+            'application/openmetrics-text; version=1.0.0',
+            'text/plain; version=0.0.4'
+        ]) || 'application/json';
+        const format = req.query.format ||
+            (negotiated.startsWith('application/openmetrics-text') && 'openmetrics') ||
+            (negotiated.startsWith('text/plain') && 'prometheus') ||
+            'json';
 
-        res.header('Access-Control-Allow-Origin', '*');
-        res.json(formattedClusters);
-    } catch (error) {
-        console.error('Error fetching applications:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
+        if (format === 'json') {
+            const filteredMetrics = calculateFilteredMetrics(state.clusters);
+            return res.json(filteredMetrics);
+        }
+
+        if (!CONTENT_TYPES[format]) {
+            return res.status(400).json({ error: 'Format must be json, prometheus or openmetrics' });
+        }
+
+        const stats = {
+            ...monitor.stats,
+            clusters: Object.fromEntries(Object.entries(monitor.stats.clusters)
+                .filter(([name]) => canAccessCluster(req.user, name)))
+        };
+
+        res.type(CONTENT_TYPES[format]);
+        res.send(renderMetrics(state.clusters, stats, state, format));
+    });
+
+    app.get('/applications', requireRole('viewer'), async (req, res) => {
+        try {
+            console.info('Applications endpoint called');
+            const state = scopedState(req);
+
+            if (!state.clusters) {
+                return res.status(503).json({
+                    error: 'Data not ready yet'
+                });
+            }
+
+            const options = parseQuery(req.query);
+            const applications = queryApplications(state.clusters, options);
+
+            res.header('Access-Control-Allow-Origin', '*');
 
-app.get('/status', (req, res) => {
-    const updateStatus = monitor.getUpdateStatus();
-    res.json(updateStatus);
-});
+            if (options.paginated) {
+                return res.json({ ...paginate(options, applications), stale: state.stale });
+            }
 
-app.post('/refresh', async (req, res) => {
-    try {
-        await monitor.forceRefresh();
+            const formattedClusters = state.clusters
+                .filter(cluster => !options.clusters || options.clusters.includes(cluster.name))
+                .map(cluster => ({
+                    name: cluster.name,
+                    url: cluster.url,
+                    stale: cluster.stale,
+                    fetchedAt: cluster.fetchedAt,
+                    ageSeconds: cluster.ageSeconds,
+                    applications: applications
+                        .filter(app => app.cluster === cluster.name)
+                        .map(({ cluster: clusterName, ...app }) => options.fields ?
+                            project(options, { ...app, cluster: clusterName }) :
+                            app)
+                }));
+
+            res.json(formattedClusters);
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('Error fetching applications:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Clusters that were never read cannot be compared and are listed apart instead of reporting every app missing
+    app.get('/compare', requireRole('viewer'), (req, res) => {
+        const list = value => value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : null;
+        const requested = list(req.query.clusters);
+        const clusters = scopedState(req).clusters
+            .filter(cluster => !requested || requested.includes(cluster.name));
+
+        try {
+            const comparison = compareApplications(clusters.filter(cluster => cluster.fetchedAt), {
+                label: req.query.label ?? settings.compare?.label,
+                app: req.query.app,
+                fields: list(req.query.fields),
+                driftOnly: req.query.drift === 'true'
+            });
+            res.json({
+                ...comparison,
+                unavailableClusters: clusters.filter(cluster => !cluster.fetchedAt).map(cluster => cluster.name)
+            });
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.get('/projects', requireRole('viewer'), (req, res) => {
+        const state = scopedState(req);
+        const projects = summarizeProjects(state.clusters
+            .filter(cluster => !req.query.cluster || cluster.name === req.query.cluster), {
+            name: req.query.name
+        });
+        res.json({ count: projects.length, projects });
+    });
+
+    app.get('/applicationsets', requireRole('viewer'), (req, res) => {
+        const state = scopedState(req);
+        const applicationSets = summarizeApplicationSets(state.clusters
+            .filter(cluster => !req.query.cluster || cluster.name === req.query.cluster), {
+            name: req.query.name,
+            status: req.query.status
+        });
+        res.json({ count: applicationSets.length, applicationSets });
+    });
+
+    app.get('/applications/:cluster/:app', requireRole('viewer'), requireCluster(), (req, res) => {
+        const { cluster, app: appName } = req.params;
         const state = monitor.getGlobalState();
+        const result = state.clusters.find(candidate => candidate.name === cluster);
+        if (!result) {
+            return res.status(404).json({ error: 'Cluster not found' });
+        }
+
+        const application = (result.applications || []).find(candidate => candidate.name === appName);
+        if (!application) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+
+        res.json({ ...application, cluster, clusterUrl: result.url, stale: result.stale, fetchedAt: result.fetchedAt });
+    });
+
+    app.get('/status', requireRole('viewer'), (req, res) => {
+        const updateStatus = monitor.getUpdateStatus();
         res.json({
-            message: 'Refresh completed',
-            lastUpdate: state.lastUpdate
+            ...updateStatus,
+            staleClusters: updateStatus.staleClusters.filter(name => canAccessCluster(req.user, name))
         });
-    } catch (error) {
-        console.error('Refresh error:', error);
-        res.status(500).json({ error: error.message });
+    });
+
+    // Events without a cluster, such as refresh.completed, summarize every cluster
+    app.get('/events', requireRole('viewer'), (req, res) => {
+        eventStream.handle(req, res, event =>
+            event.cluster ? canAccessCluster(req.user, event.cluster) : !req.user.clusters
+        );
+    });
+
+    app.get('/history', requireRole('viewer'), (req, res) => {
+        try {
+            const options = parseHistoryQuery(req.query);
+            const transitions = monitor.history.query({
+                ...options,
+                cluster: req.query.cluster,
+                application: req.query.app
+            }).filter(entry => canAccessCluster(req.user, entry.cluster));
+            res.json({
+                since: options.since ? new Date(options.since).toISOString() : null,
+                until: options.until ? new Date(options.until).toISOString() : null,
+                count: transitions.length,
+                transitions
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.get('/deployments', requireRole('viewer'), (req, res) => {
+        try {
+            const options = parseHistoryQuery(req.query);
+            const deployments = monitor.deployments.query({
+                cluster: req.query.cluster,
+                application: req.query.app,
+                type: req.query.type,
+                phase: req.query.phase,
+                since: options.since,
+                until: options.until
+            }).filter(entry => canAccessCluster(req.user, entry.cluster));
+            const limited = options.limit ? deployments.slice(0, options.limit) : deployments;
+            res.json({
+                since: options.since ? new Date(options.since).toISOString() : null,
+                until: options.until ? new Date(options.until).toISOString() : null,
+                count: limited.length,
+                deployments: limited
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Newest first as JSON, or oldest first as JSON lines for export
+    app.get('/audit', requireRole('operator'), (req, res) => {
+        try {
+            const options = parseHistoryQuery(req.query);
+            const entries = monitor.audit.query({
+                actor: req.query.actor,
+                action: req.query.action,
+                cluster: req.query.cluster,
+                application: req.query.app,
+                result: req.query.result,
+                ...options,
+                // Entries such as refresh or silence.create concern every cluster
+                includeCluster: cluster => cluster ? canAccessCluster(req.user, cluster) : !req.user.clusters
+            });
+
+            if (req.query.format === 'jsonl') {
+                res.type('application/x-ndjson');
+                res.set('Content-Disposition', 'attachment; filename="audit.jsonl"');
+                return res.send(entries.reverse().map(entry => `${JSON.stringify(entry)}\n`).join(''));
+            }
+            res.json({
+                since: options.since ? new Date(options.since).toISOString() : null,
+                until: options.until ? new Date(options.until).toISOString() : null,
+                count: entries.length,
+                entries
+            });
+        } catch (error) {
+            res.status(error.status || 400).json({ error: error.message });
+        }
+    });
+
+    app.get('/applications/:cluster/:app/history', requireRole('viewer'), requireCluster(), (req, res) => {
+        const { cluster, app: appName } = req.params;
+        try {
+            if (!monitor.clusters[cluster]) {
+                return res.status(404).json({ error: 'Cluster not found' });
+            }
+
+            const history = monitor.history.getApplicationHistory(cluster, appName, parseHistoryQuery(req.query));
+            if (!history.current && history.transitions.length === 0) {
+                return res.status(404).json({ error: 'No history for application' });
+            }
+            res.json(history);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.get('/applications/:cluster/:app/resource-tree', requireRole('viewer'), requireCluster(), async (req, res) => {
+        const { cluster, app: appName } = req.params;
+        try {
+            const tree = await monitor.getResourceTree(cluster, appName, {
+                unhealthyOnly: req.query.unhealthy === 'true'
+            });
+            res.json({ cluster, application: appName, ...tree });
+        } catch (error) {
+            console.error(`Resource tree error for ${cluster}/${appName}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.get('/applications/:cluster/:app/resources', requireRole('viewer'), requireCluster(), async (req, res) => {
+        const { cluster, app: appName } = req.params;
+        try {
+            const resources = await monitor.getManagedResources(cluster, appName, {
+                includeState: req.query.state === 'true'
+            });
+            res.json({ cluster, application: appName, count: resources.length, resources });
+        } catch (error) {
+            console.error(`Managed resources error for ${cluster}/${appName}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.get('/applications/:cluster/:app/events', requireRole('viewer'), requireCluster(), async (req, res) => {
+        const { cluster, app: appName } = req.params;
+        const { resourceNamespace, resourceName, resourceUID } = req.query;
+        if (resourceName && !resourceUID) {
+            return res.status(400).json({ error: 'resourceName requires resourceUID' });
+        }
+
+        try {
+            const events = await monitor.getApplicationEvents(cluster, appName, {
+                namespace: resourceNamespace,
+                name: resourceName,
+                uid: resourceUID
+            });
+            res.json({ cluster, application: appName, count: events.length, events });
+        } catch (error) {
+            console.error(`Events error for ${cluster}/${appName}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.get('/filters', requireRole('viewer'), (req, res) => {
+        res.json(monitor.applicationFilter.describe());
+    });
+
+    // Defaults to the last 24 hours; format=csv returns one row per application
+    app.get('/reports/availability', requireRole('viewer'), (req, res) => {
+        const format = req.query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be json or csv' });
+        }
+
+        let from;
+        let to;
+        try {
+            to = parseTimestamp(req.query.to) || Date.now();
+            from = parseTimestamp(req.query.from) || to - 24 * 60 * 60 * 1000;
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (from >= to) {
+            return res.status(400).json({ error: 'from must be before to' });
+        }
+
+        const report = buildAvailabilityReport(monitor.history, monitor.getGlobalState(), {
+            from,
+            to,
+            includeCluster: name => canAccessCluster(req.user, name)
+        });
+
+        if (format === 'csv') {
+            res.attachment(`availability-${report.from.slice(0, 10)}-${report.to.slice(0, 10)}.csv`);
+            return res.send(toCsv(report));
+        }
+        res.json(report);
+    });
+
+    app.get('/alerts/rules', requireRole('viewer'), (req, res) => {
+        res.json(monitor.alertRules.rules);
+    });
+
+    app.get('/alerts', requireRole('viewer'), (req, res) => {
+        const alerts = monitor.alertManager.list({
+            state: req.query.state,
+            cluster: req.query.cluster,
+            application: req.query.app
+        }).filter(alert => canAccessCluster(req.user, alert.cluster));
+        res.json(alerts);
+    });
+
+    // Alerts of clusters out of scope are reported as missing
+    app.get('/alerts/:id', requireRole('viewer'), (req, res) => {
+        const alert = monitor.alertManager.get(req.params.id);
+        if (!alert || !canAccessCluster(req.user, alert.cluster)) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.json(alert);
+    });
+
+    app.post('/alerts/:id/ack', requireRole('operator'), async (req, res) => {
+        try {
+            const existing = monitor.alertManager.get(req.params.id);
+            if (!existing || !canAccessCluster(req.user, existing.cluster)) {
+                return res.status(404).json({ error: 'Alert not found' });
+            }
+            const alert = monitor.alertManager.acknowledge(req.params.id, { ...req.body, by: actor(req) });
+            await monitor.alertManager.flush();
+            res.json(alert);
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.get('/silences', requireRole('viewer'), (req, res) => {
+        res.json(monitor.silences.list({ includeExpired: req.query.all === 'true' })
+            .filter(silence => canAccessClusterMatcher(req.user, silence.matchers.cluster)));
+    });
+
+    // Users limited to some clusters can only silence those, by naming them in the cluster matcher
+    app.post('/silences', requireRole('operator'), async (req, res) => {
+        if (!canAccessClusterMatcher(req.user, req.body?.matchers?.cluster)) {
+            return res.status(403).json({ error: 'Silences must be limited to clusters you can access' });
+        }
+
+        try {
+            const silence = monitor.silences.create({ ...req.body, createdBy: actor(req) });
+            await monitor.silences.flush();
+            res.status(201).json(silence);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.delete('/silences/:id', requireRole('operator'), async (req, res) => {
+        const existing = monitor.silences.get(req.params.id);
+        if (!existing || !canAccessClusterMatcher(req.user, existing.matchers.cluster)) {
+            return res.status(404).json({ error: 'Silence not found' });
+        }
+        try {
+            const silence = monitor.silences.expire(req.params.id);
+            await monitor.silences.flush();
+            res.json(silence);
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.post('/refresh', requireRole('operator'), requireAllClusters, async (req, res) => {
+        try {
+            await monitor.forceRefresh();
+            const state = monitor.getGlobalState();
+            res.json({
+                message: 'Refresh completed',
+                lastUpdate: state.lastUpdate
+            });
+        } catch (error) {
+            console.error('Refresh error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    function describeCluster(name) {
+        const state = monitor.getGlobalState();
+        const result = state.clusters.find(cluster => cluster.name === name);
+        return {
+            ...registry.describe(name),
+            applicationCount: result?.health?.reachable ? result.applications.length : null,
+            health: monitor.getClusterHealth(name),
+            watchStream: monitor.getWatchStatus(name),
+            circuit: monitor.getCircuitStatus(name)
+        };
     }
-});
 
-app.post('/clusters/:name/sync', async (req, res) => {
-    const { name } = req.params;
-    try {
-        const cluster = config.clusters[name];
-        if (!cluster) {
+    app.get('/clusters', requireRole('viewer'), (req, res) => {
+        res.json(Object.keys(monitor.clusters)
+            .filter(name => canAccessCluster(req.user, name))
+            .map(describeCluster));
+    });
+
+    app.get('/clusters/:name', requireRole('viewer'), requireCluster('name'), (req, res) => {
+        if (!monitor.clusters[req.params.name]) {
             return res.status(404).json({ error: 'Cluster not found' });
         }
+        res.json(describeCluster(req.params.name));
+    });
 
-        await monitor.refreshData();
-        res.json({ message: `Sync initiated for cluster ${name}` });
-    } catch (error) {
-        console.error(`Sync error for cluster ${name}:`, error);
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Server initialization
-app.listen(port, () => {
-    console.info(`API server running on port ${port}`);
-});
-
-// Error handling
-process.on('unhandledRejection', (error) => {
-    console.error('Unhandled rejection:', error);
-});
-
-process.on('SIGINT', () => {
-    console.info('Server shutting down...');
-    process.exit(0);
-});
\ No newline at end of file
+    app.post('/clusters', requireRole('admin'), async (req, res) => {
+        const { name, ...definition } = req.body || {};
+        try {
+            registry.checkDefinition(name, definition);
+            if (!canAccessCluster(req.user, name)) {
+                return res.status(403).json({ error: `No access to cluster ${name}` });
+            }
+
+            const cluster = await registry.add(name, definition);
+            monitor.addCluster(name, cluster);
+            res.status(201).json(describeCluster(name));
+        } catch (error) {
+            console.error(`Add cluster error for ${name}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.put('/clusters/:name', requireRole('admin'), requireCluster('name'), async (req, res) => {
+        const { name } = req.params;
+        try {
+            const changes = { ...req.body };
+            delete changes.name;
+            const cluster = await registry.update(name, changes);
+            monitor.updateCluster(name, cluster);
+            res.json(describeCluster(name));
+        } catch (error) {
+            console.error(`Update cluster error for ${name}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.delete('/clusters/:name', requireRole('admin'), requireCluster('name'), async (req, res) => {
+        const { name } = req.params;
+        try {
+            await registry.remove(name);
+            monitor.removeCluster(name);
+            res.json({ message: `Cluster ${name} removed` });
+        } catch (error) {
+            console.error(`Remove cluster error for ${name}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.post('/clusters/:name/sync', requireRole('operator'), requireCluster('name'), async (req, res) => {
+        const { name } = req.params;
+        try {
+            const { applications, all, ...options } = req.body || {};
+            const results = await monitor.syncCluster(name, { ...options, applications, all });
+            res.json({
+                message: `Sync initiated for ${results.length} applications in cluster ${name}`,
+                results
+            });
+        } catch (error) {
+            console.error(`Sync error for cluster ${name}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.post('/applications/:cluster/:app/sync', requireRole('operator'), requireCluster(), async (req, res) => {
+        const { cluster, app: appName } = req.params;
+        try {
+            const application = await monitor.syncApplication(cluster, appName, req.body || {});
+            res.json({
+                message: `Sync initiated for ${appName}`,
+                operationState: application?.status?.operationState || null
+            });
+        } catch (error) {
+            console.error(`Sync error for ${cluster}/${appName}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.post('/applications/:cluster/:app/refresh', requireRole('operator'), requireCluster(), async (req, res) => {
+        const { cluster, app: appName } = req.params;
+        const type = req.body?.type || req.query.type || 'hard';
+        if (!['hard', 'normal'].includes(type)) {
+            return res.status(400).json({ error: 'Refresh type must be hard or normal' });
+        }
+
+        try {
+            const application = await monitor.refreshApplication(cluster, appName, type);
+            res.json({
+                message: `${type} refresh completed for ${appName}`,
+                healthStatus: application?.status?.health?.status || 'Unknown',
+                syncStatus: application?.status?.sync?.status || 'Unknown'
+            });
+        } catch (error) {
+            console.error(`Refresh error for ${cluster}/${appName}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.post('/applications/:cluster/:app/rollback', requireRole('operator'), requireCluster(), async (req, res) => {
+        const { cluster, app: appName } = req.params;
+        if (req.body?.id === undefined || Number.isNaN(Number(req.body.id))) {
+            return res.status(400).json({ error: 'A numeric history id is required' });
+        }
+
+        try {
+            const application = await monitor.rollbackApplication(cluster, appName, req.body);
+            res.json({
+                message: `Rollback of ${appName} to history ${req.body.id} initiated`,
+                operationState: application?.status?.operationState || null
+            });
+        } catch (error) {
+            console.error(`Rollback error for ${cluster}/${appName}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    app.delete('/applications/:cluster/:app/operation', requireRole('operator'), requireCluster(), async (req, res) => {
+        const { cluster, app: appName } = req.params;
+        try {
+            await monitor.terminateOperation(cluster, appName);
+            res.json({ message: `Operation terminated for ${appName}` });
+        } catch (error) {
+            console.error(`Terminate error for ${cluster}/${appName}:`, error.message);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    return app;
+}
+
+module.exports = {
+    createApp,
+    createMonitor
+};
@@ -0,0 +1,106 @@
+// src/services/AuditLog.js
+
+const crypto = require('crypto');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const LOG_NAME = 'audit';
+
+// Request body fields never written to the log
+const SECRET_FIELDS = ['password', 'token', 'key', 'routingKey', 'webhookUrl'];
+
+const redact = value => {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+        key,
+        SECRET_FIELDS.includes(key) && entry ? '********' : redact(entry)
+    ]));
+};
+
+// Record of the actions taken through the API. Entries are appended to the storage log and kept
+// for the retention period; other replicas' entries are picked up when the log is loaded.
+class AuditLog {
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.retention = (options.retentionDays || 90) * DAY;
+        this.entries = [];
+        this.writes = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.storage) return;
+
+        try {
+            this.entries = await this.storage.readLog(LOG_NAME);
+            this.prune();
+        } catch (error) {
+            console.error(`Failed to load audit log: ${error.message}`);
+        }
+    }
+
+    async record(entry) {
+        const recorded = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            ...entry,
+            parameters: redact(entry.parameters || {})
+        };
+        this.entries.push(recorded);
+        const remaining = this.prune() > 0 ? [...this.entries] : null;
+
+        // Writes are chained so they reach the storage in order and close() can wait for them
+        if (this.storage) {
+            this.writes = this.writes.then(() => this.write(recorded, remaining));
+            await this.writes;
+        }
+        return recorded;
+    }
+
+    async write(recorded, remaining) {
+        try {
+            if (remaining) {
+                await this.storage.replaceLog(LOG_NAME, remaining);
+            } else {
+                await this.storage.appendLog(LOG_NAME, [recorded]);
+            }
+        } catch (error) {
+            console.error(`Failed to write audit entry ${recorded.action}: ${error.message}`);
+        }
+    }
+
+    close() {
+        return this.writes;
+    }
+
+    prune(now = Date.now()) {
+        const cutoff = now - this.retention;
+        const index = this.entries.findIndex(entry => Date.parse(entry.timestamp) >= cutoff);
+        const removed = index === -1 ? this.entries.length : index;
+        if (removed > 0) {
+            this.entries.splice(0, removed);
+        }
+        return removed;
+    }
+
+    // Most recent first; includeCluster restricts the entries, e.g. to the clusters a caller may see.
+    // It is called with null for entries that concern no single cluster.
+    query({ actor, action, cluster, application, result, since, until, limit, includeCluster = () => true } = {}) {
+        const entries = this.entries.filter(entry => {
+            const time = Date.parse(entry.timestamp);
+            if (!includeCluster(entry.cluster || null)) return false;
+            if (actor && entry.actor !== actor) return false;
+            if (action && entry.action !== action) return false;
+            if (cluster && entry.cluster !== cluster) return false;
+            if (application && entry.application !== application) return false;
+            if (result && entry.result !== result) return false;
+            if (since && time < since) return false;
+            if (until && time > until) return false;
+            return true;
+        }).reverse();
+
+        return limit ? entries.slice(0, limit) : entries;
+    }
+}
+
+module.exports = AuditLog;
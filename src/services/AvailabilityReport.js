@@ -0,0 +1,178 @@
+// src/services/AvailabilityReport.js
+
+// Health states counted as downtime; Progressing and Suspended applications are available
+const UNAVAILABLE = ['Degraded', 'Missing', 'Unknown'];
+
+const LONGEST_DEGRADED_LIMIT = 10;
+
+const CSV_COLUMNS = [
+    'cluster',
+    'application',
+    'availabilityPercent',
+    'observedSeconds',
+    'unavailableSeconds',
+    'outOfSyncSeconds',
+    'incidents',
+    'longestOutageSeconds',
+    'healthStatus',
+    'syncStatus'
+];
+
+const percent = (part, total) => total > 0 ? Math.round((1 - part / total) * 10000) / 100 : null;
+
+const appKey = (cluster, app) => `${cluster}/${app}`;
+
+// Walks the transitions of one application and measures the [from, to] window. Time before
+// the first transition or after a removal is not observed and does not count either way.
+function measureApplication(entries, from, to) {
+    const measured = {
+        observedMs: 0,
+        unavailableMs: 0,
+        outOfSyncMs: 0,
+        incidents: 0,
+        longestOutageMs: 0
+    };
+    let outage = 0;
+
+    entries.forEach((entry, index) => {
+        const next = entries[index + 1];
+        const start = Math.max(Date.parse(entry.timestamp), from);
+        const end = Math.min(next ? Date.parse(next.timestamp) : to, to);
+        const down = UNAVAILABLE.includes(entry.healthStatus);
+
+        if (!down) outage = 0;
+        if (end <= start || entry.healthStatus === null) return;
+
+        const duration = end - start;
+        measured.observedMs += duration;
+        if (entry.syncStatus === 'OutOfSync') measured.outOfSyncMs += duration;
+        if (down) {
+            if (outage === 0) measured.incidents++;
+            outage += duration;
+            measured.unavailableMs += duration;
+            measured.longestOutageMs = Math.max(measured.longestOutageMs, outage);
+        }
+    });
+
+    return measured;
+}
+
+// The transitions of every application up to `to`, each starting with the state it was in at
+// `from`: a change after `from` tells the state before it, and applications the history does not
+// know yet are in their current state
+function applicationTimelines(history, state, { from, to, includeCluster }) {
+    const byApplication = new Map();
+    history.query({ until: to }).forEach(entry => {
+        if (!includeCluster(entry.cluster)) return;
+        const key = appKey(entry.cluster, entry.application);
+        if (!byApplication.has(key)) byApplication.set(key, []);
+        byApplication.get(key).push(entry);
+    });
+
+    const seed = (cluster, application, healthStatus, syncStatus) =>
+        ({ timestamp: new Date(from).toISOString(), cluster, application, healthStatus, syncStatus });
+
+    byApplication.forEach(entries => {
+        const [first] = entries;
+        if (first.type === 'changed' && Date.parse(first.timestamp) > from) {
+            entries.unshift(seed(first.cluster, first.application, first.previousHealthStatus, first.previousSyncStatus));
+        }
+    });
+
+    state.clusters.filter(result => includeCluster(result.name)).forEach(result => {
+        (result.applications || []).forEach(app => {
+            const key = appKey(result.name, app.name);
+            if (byApplication.has(key) || history.lastKnown.has(key)) return;
+            byApplication.set(key, [seed(result.name, app.name, app.healthStatus, app.syncStatus)]);
+        });
+    });
+
+    return byApplication;
+}
+
+// Availability of every application observed in [from, to], summarized per cluster.
+// includeCluster restricts the report, e.g. to the clusters a caller may see.
+function buildAvailabilityReport(history, state, { from, to, includeCluster = () => true }) {
+    const byApplication = applicationTimelines(history, state, { from, to, includeCluster });
+
+    const applications = [];
+    byApplication.forEach(entries => {
+        const measured = measureApplication(entries, from, to);
+        if (measured.observedMs === 0) return;
+
+        const { cluster, application } = entries[0];
+        const current = history.lastKnown.get(appKey(cluster, application)) ||
+            state.clusters.find(result => result.name === cluster)?.applications?.find(app => app.name === application);
+        applications.push({
+            cluster,
+            application,
+            availabilityPercent: percent(measured.unavailableMs, measured.observedMs),
+            ...measured,
+            healthStatus: current?.healthStatus || null,
+            syncStatus: current?.syncStatus || null
+        });
+    });
+    applications.sort((a, b) => a.cluster.localeCompare(b.cluster) || a.application.localeCompare(b.application));
+
+    const clusters = state.clusters
+        .filter(result => includeCluster(result.name))
+        .map(result => {
+            const measured = applications.filter(app => app.cluster === result.name);
+            const observedMs = measured.reduce((sum, app) => sum + app.observedMs, 0);
+            const unavailableMs = measured.reduce((sum, app) => sum + app.unavailableMs, 0);
+            const apps = result.applications || [];
+            return {
+                name: result.name,
+                reachable: result.health?.reachable !== false,
+                stale: Boolean(result.stale),
+                applications: apps.length,
+                healthy: apps.filter(app => app.healthStatus === 'Healthy').length,
+                unavailable: apps.filter(app => UNAVAILABLE.includes(app.healthStatus)).length,
+                outOfSync: apps.filter(app => app.syncStatus === 'OutOfSync').length,
+                availabilityPercent: percent(unavailableMs, observedMs),
+                incidents: measured.reduce((sum, app) => sum + app.incidents, 0)
+            };
+        });
+
+    const observedMs = applications.reduce((sum, app) => sum + app.observedMs, 0);
+    const unavailableMs = applications.reduce((sum, app) => sum + app.unavailableMs, 0);
+
+    return {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        generatedAt: new Date().toISOString(),
+        availabilityPercent: percent(unavailableMs, observedMs),
+        clusters,
+        longestDegraded: applications
+            .filter(app => app.unavailableMs > 0)
+            .sort((a, b) => b.unavailableMs - a.unavailableMs)
+            .slice(0, LONGEST_DEGRADED_LIMIT)
+            .map(({ cluster, application, unavailableMs, longestOutageMs, incidents, healthStatus }) => ({
+                cluster, application, unavailableMs, longestOutageMs, incidents, healthStatus
+            })),
+        applications
+    };
+}
+
+const csvValue = value => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per application; durations in seconds for spreadsheets
+function toCsv(report) {
+    const rows = report.applications.map(app => CSV_COLUMNS.map(column => {
+        if (column.endsWith('Seconds')) {
+            return csvValue(Math.round(app[column.replace('Seconds', 'Ms')] / 1000));
+        }
+        return csvValue(app[column]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    UNAVAILABLE,
+    buildAvailabilityReport,
+    toCsv
+};
@@ -0,0 +1,60 @@
+// src/services/CircuitBreaker.js
+
+// Stops polling a cluster that keeps failing. After `threshold` consecutive failures the circuit
+// opens and polls are skipped for the cooldown; then a single trial poll is let through. Success
+// closes the circuit, another failure reopens it with a doubled cooldown, up to maxCooldown.
+// A threshold of 0 disables the breaker.
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.threshold = options.threshold ?? 5;
+        this.baseCooldown = Number(options.cooldown) || 60000;
+        this.maxCooldown = Number(options.maxCooldown) || 10 * 60 * 1000;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.cooldown = this.baseCooldown;
+    }
+
+    allowRequest(now = Date.now()) {
+        if (this.state === 'closed') return true;
+        if (this.state === 'open' && now - this.openedAt >= this.cooldown) {
+            this.state = 'half-open';
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.cooldown = this.baseCooldown;
+    }
+
+    recordFailure(now = Date.now()) {
+        this.failures++;
+        if (this.state === 'half-open') {
+            this.cooldown = Math.min(this.cooldown * 2, this.maxCooldown);
+            this.open(now);
+        } else if (this.threshold > 0 && this.failures >= this.threshold) {
+            this.open(now);
+        }
+    }
+
+    open(now) {
+        this.state = 'open';
+        this.openedAt = now;
+    }
+
+    describe() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldown).toISOString() : null
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,250 @@
+// src/services/ClusterRegistry.js
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const SECRET_FIELDS = ['password', 'token', 'key'];
+// Local files read for a cluster; they may only come from the configuration, never from the API
+const FILE_FIELDS = ['tokenFile', 'caFile', 'certFile', 'keyFile'];
+
+const isYaml = filePath => /\.ya?ml$/i.test(filePath);
+
+const mapStrings = (value, map) => {
+    if (typeof value === 'string') return map(value);
+    if (Array.isArray(value)) return value.map(entry => mapStrings(entry, map));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, mapStrings(entry, map)]));
+    }
+    return value;
+};
+
+// Replaces ${VAR} references so secrets can stay in the environment; $${VAR} stays literal
+const interpolate = value => mapStrings(value, text =>
+    text.replace(/\$(\$?)\{(\w+)\}/g, (match, escaped, name) => escaped ? `\${${name}}` : process.env[name] ?? ''));
+
+// Definitions sent through the API are taken literally: their ${VAR} references are escaped, so
+// neither the registry nor a later reload of the written file expands them
+const escapeReferences = value => mapStrings(value, text => text.replace(/\$\{/g, () => '$${'));
+
+const fileFields = (value, found = []) => {
+    if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, entry]) => {
+            if (FILE_FIELDS.includes(key)) found.push(key);
+            fileFields(entry, found);
+        });
+    }
+    return found;
+};
+
+const checkApiInput = definition => {
+    const fields = fileFields(definition);
+    if (fields.length > 0) {
+        throw Object.assign(new Error(`${fields.join(', ')} cannot be set through the API; pass the PEM or token inline`), { status: 400 });
+    }
+};
+
+const redact = value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+        key,
+        SECRET_FIELDS.includes(key) && entry ? '********' : redact(entry)
+    ]));
+};
+
+// Accepts { clusters: { NAME: {...} } }, { NAME: {...} }, [{ name, ... }] or a single { name, url, ... }
+const normalizeDocument = document => {
+    if (!document) return {};
+    if (Array.isArray(document)) {
+        return Object.fromEntries(document.map(({ name, ...definition }) => [name, definition]));
+    }
+    if (document.clusters) return normalizeDocument(document.clusters);
+    if (typeof document.name === 'string' && document.url) {
+        const { name, ...definition } = document;
+        return { [name]: definition };
+    }
+    return document;
+};
+
+class ClusterRegistry {
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.directory = options.directory || null;
+        this.defaults = options.defaults || {};
+        this.validator = options.validator || null;
+        this.definitions = {};
+        this.raw = {};
+        this.sources = {};
+    }
+
+    readFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        return normalizeDocument(isYaml(filePath) ? yaml.load(content) : JSON.parse(content));
+    }
+
+    load() {
+        const loaded = {};
+
+        if (this.file) {
+            Object.entries(this.readFile(this.file)).forEach(([name, definition]) => {
+                loaded[name] = { definition, source: this.file };
+            });
+        } else if (this.directory) {
+            fs.readdirSync(this.directory)
+                .filter(file => /\.(ya?ml|json)$/i.test(file))
+                .sort()
+                .forEach(file => {
+                    const filePath = path.join(this.directory, file);
+                    try {
+                        Object.entries(this.readFile(filePath)).forEach(([name, definition]) => {
+                            loaded[name] = { definition, source: filePath };
+                        });
+                    } catch (error) {
+                        console.error(`Cluster file ${filePath} skipped: ${error.message}`);
+                    }
+                });
+        } else {
+            Object.entries(this.defaults).forEach(([name, definition]) => {
+                loaded[name] = { definition, source: 'environment' };
+            });
+        }
+
+        Object.entries(loaded).forEach(([name, { definition, source }]) => {
+            const resolved = interpolate(definition);
+            if (!resolved.url) {
+                console.warn(`[${name}] Cluster skipped - no url configured`);
+                return;
+            }
+            this.definitions[name] = resolved;
+            this.raw[name] = definition;
+            this.sources[name] = source;
+        });
+
+        console.log(`Cluster registry loaded ${Object.keys(this.definitions).length} clusters`);
+        return { ...this.definitions };
+    }
+
+    // The checks that need neither the validator nor the existing clusters
+    checkDefinition(name, definition) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            throw Object.assign(new Error('Cluster name may only contain letters, digits, ".", "_" and "-"'), { status: 400 });
+        }
+        if (!definition || !definition.url) {
+            throw Object.assign(new Error('Cluster url is required'), { status: 400 });
+        }
+    }
+
+    validate(name, definition) {
+        this.checkDefinition(name, definition);
+
+        if (this.validator) {
+            try {
+                this.validator(name, interpolate(definition));
+            } catch (error) {
+                throw Object.assign(new Error(`Invalid cluster ${name}: ${error.message}`), { status: 400 });
+            }
+        }
+    }
+
+    has(name) {
+        return Boolean(this.definitions[name]);
+    }
+
+    get(name) {
+        return this.definitions[name] || null;
+    }
+
+    // Cluster definitions without secrets, safe to return from the API
+    describe(name) {
+        const definition = this.definitions[name];
+        if (!definition) return null;
+
+        return redact({ name, ...definition, source: this.sources[name] });
+    }
+
+    list() {
+        return Object.keys(this.definitions).map(name => this.describe(name));
+    }
+
+    async add(name, input) {
+        checkApiInput(input);
+        const definition = escapeReferences(input);
+        this.validate(name, definition);
+        if (this.has(name)) {
+            throw Object.assign(new Error(`Cluster ${name} already exists`), { status: 409 });
+        }
+
+        this.raw[name] = definition;
+        this.definitions[name] = interpolate(definition);
+        await this.persist(name);
+        return this.definitions[name];
+    }
+
+    async update(name, changes) {
+        if (!this.has(name)) {
+            throw Object.assign(new Error(`Cluster ${name} not found`), { status: 404 });
+        }
+
+        // Omitted secrets keep their current value so clients never need to echo them back
+        checkApiInput(changes);
+        const definition = { ...this.raw[name], ...escapeReferences(changes) };
+        this.validate(name, definition);
+
+        this.raw[name] = definition;
+        this.definitions[name] = interpolate(definition);
+        await this.persist(name);
+        return this.definitions[name];
+    }
+
+    async remove(name) {
+        if (!this.has(name)) {
+            throw Object.assign(new Error(`Cluster ${name} not found`), { status: 404 });
+        }
+
+        delete this.definitions[name];
+        delete this.raw[name];
+        await this.persist(name, true);
+    }
+
+    async writeDocument(filePath, clusters) {
+        const document = { clusters };
+        const content = isYaml(filePath) ? yaml.dump(document) : JSON.stringify(document, null, 2);
+        await fs.promises.writeFile(filePath, content);
+    }
+
+    // Definitions are written as loaded, so ${VAR} references are not replaced by their secrets
+    async persist(name, removed = false) {
+        if (this.file) {
+            await this.writeDocument(this.file, this.raw);
+            this.sources[name] = this.file;
+        } else if (this.directory) {
+            const filePath = this.sources[name] && this.sources[name] !== 'runtime' ?
+                this.sources[name] :
+                path.join(this.directory, `${name}.yaml`);
+            const existing = fs.existsSync(filePath) ? this.readFile(filePath) : {};
+
+            if (removed) {
+                delete existing[name];
+            } else {
+                existing[name] = this.raw[name];
+            }
+
+            // Files may hold several clusters; a file is only deleted once it holds none
+            if (Object.keys(existing).length === 0) {
+                await fs.promises.rm(filePath, { force: true });
+            } else {
+                await this.writeDocument(filePath, existing);
+            }
+            this.sources[name] = filePath;
+        } else {
+            this.sources[name] = 'runtime';
+        }
+
+        if (removed) {
+            delete this.sources[name];
+        }
+    }
+}
+
+module.exports = ClusterRegistry;
@@ -0,0 +1,150 @@
+// src/services/DeploymentTracker.js
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const LOG_NAME = 'deployments';
+
+// Operation phases that end a sync
+const COMPLETED_PHASES = ['Succeeded', 'Failed', 'Error'];
+
+const appKey = (cluster, app) => `${cluster}/${app}`;
+
+const operationOf = app => {
+    const operation = app.status?.operationState;
+    if (!operation?.finishedAt || !COMPLETED_PHASES.includes(operation.phase)) return null;
+    return operation;
+};
+
+// Records deployments: a new target revision of an application ("revision" events) and every
+// sync operation that completed or failed ("sync" events)
+class DeploymentTracker {
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.retention = (options.retentionDays || 30) * DAY;
+        this.entries = [];
+        this.lastKnown = new Map();
+    }
+
+    async load() {
+        if (!this.storage) return;
+
+        try {
+            const entries = await this.storage.readLog(LOG_NAME);
+            this.entries = [];
+            this.lastKnown.clear();
+            entries.forEach(entry => this.apply(entry));
+            this.prune();
+        } catch (error) {
+            console.error(`Failed to load deployments: ${error.message}`);
+        }
+    }
+
+    apply(entry) {
+        this.entries.push(entry);
+        const key = appKey(entry.cluster, entry.application);
+        const known = this.lastKnown.get(key) || {};
+        this.lastKnown.set(key, {
+            revision: entry.type === 'revision' ? entry.revision : known.revision,
+            finishedAt: entry.type === 'sync' ? entry.finishedAt : known.finishedAt
+        });
+    }
+
+    // Applications seen for the first time are remembered without an event, so a restart
+    // without persistence does not replay every past deployment
+    async record(clusterResults, timestamp = new Date().toISOString()) {
+        const deployments = [];
+
+        clusterResults.forEach(result => {
+            if (result.health?.reachable === false) return;
+
+            (result.applications || []).forEach(app => {
+                const key = appKey(result.name, app.name);
+                const known = this.lastKnown.get(key);
+                const revision = app.status?.sync?.revision || null;
+                const operation = operationOf(app);
+
+                if (!known) {
+                    this.lastKnown.set(key, { revision, finishedAt: operation?.finishedAt || null });
+                    return;
+                }
+
+                const base = {
+                    timestamp,
+                    cluster: result.name,
+                    application: app.name,
+                    images: app.status?.summary?.images || []
+                };
+
+                if (revision && revision !== known.revision) {
+                    deployments.push({
+                        ...base,
+                        type: 'revision',
+                        revision,
+                        previousRevision: known.revision || null
+                    });
+                }
+
+                if (operation && operation.finishedAt !== known.finishedAt) {
+                    const initiatedBy = operation.operation?.initiatedBy || {};
+                    deployments.push({
+                        ...base,
+                        type: 'sync',
+                        phase: operation.phase,
+                        message: operation.message || null,
+                        revision: operation.syncResult?.revision || operation.operation?.sync?.revision || revision,
+                        initiatedBy: initiatedBy.automated ? 'automated' : initiatedBy.username || null,
+                        startedAt: operation.startedAt || null,
+                        finishedAt: operation.finishedAt
+                    });
+                }
+            });
+        });
+
+        deployments.forEach(entry => this.apply(entry));
+        const pruned = this.prune();
+
+        if (this.storage && (deployments.length > 0 || pruned > 0)) {
+            try {
+                if (pruned > 0) {
+                    await this.storage.replaceLog(LOG_NAME, this.entries);
+                } else {
+                    await this.storage.appendLog(LOG_NAME, deployments);
+                }
+            } catch (error) {
+                console.error(`Failed to persist deployments: ${error.message}`);
+            }
+        }
+
+        return deployments;
+    }
+
+    prune(now = Date.now()) {
+        const cutoff = now - this.retention;
+        const index = this.entries.findIndex(entry => Date.parse(entry.timestamp) >= cutoff);
+        const removed = index === -1 ? this.entries.length : index;
+        if (removed > 0) {
+            this.entries.splice(0, removed);
+        }
+        return removed;
+    }
+
+    // Most recent first
+    query({ cluster, application, type, phase, since, until, limit } = {}) {
+        const entries = this.entries.filter(entry => {
+            const time = Date.parse(entry.timestamp);
+            if (cluster && entry.cluster !== cluster) return false;
+            if (application && entry.application !== application) return false;
+            if (type && entry.type !== type) return false;
+            if (phase && entry.phase !== phase) return false;
+            if (since && time < since) return false;
+            if (until && time > until) return false;
+            return true;
+        }).reverse();
+
+        return limit ? entries.slice(0, limit) : entries;
+    }
+}
+
+DeploymentTracker.COMPLETED_PHASES = COMPLETED_PHASES;
+
+module.exports = DeploymentTracker;
@@ -0,0 +1,101 @@
+// src/services/EventStream.js
+
+const HEARTBEAT_INTERVAL = 15000;
+const BUFFER_SIZE = 500;
+
+// A repeated query parameter arrives as an array; both forms take comma-separated lists
+const list = value => {
+    const items = value ? [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean) : [];
+    return items.length > 0 ? items : null;
+};
+
+// Fans ArgoVisor change events out to Server-Sent Events clients
+class EventStream {
+    constructor(monitor) {
+        this.clients = new Set();
+        this.buffer = [];
+        this.lastId = 0;
+
+        monitor.on('change', event => this.publish(event));
+        this.heartbeat = setInterval(() => this.sendHeartbeat(), HEARTBEAT_INTERVAL);
+        this.heartbeat.unref();
+    }
+
+    publish(event) {
+        const entry = { id: ++this.lastId, event };
+        this.buffer.push(entry);
+        if (this.buffer.length > BUFFER_SIZE) {
+            this.buffer.shift();
+        }
+
+        this.clients.forEach(client => {
+            if (this.accepts(client, event)) {
+                this.write(client.res, entry);
+            }
+        });
+    }
+
+    accepts(client, event) {
+        if (!client.allow(event)) return false;
+        if (client.clusters && event.cluster && !client.clusters.includes(event.cluster)) return false;
+        if (client.types && !client.types.includes(event.type)) return false;
+        return true;
+    }
+
+    write(res, { id, event }) {
+        res.write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        // The compression middleware buffers output until flushed
+        if (res.flush) res.flush();
+    }
+
+    sendHeartbeat() {
+        this.clients.forEach(({ res }) => {
+            res.write(': heartbeat\n\n');
+            if (res.flush) res.flush();
+        });
+    }
+
+    // Express handler; ?cluster= and ?types= take comma-separated lists, allow() hides events the caller may not see
+    handle(req, res, allow = () => true) {
+        const client = {
+            res,
+            allow,
+            clusters: list(req.query.cluster),
+            types: list(req.query.types)
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        // Clients reconnecting with Last-Event-ID get the events they missed, if still buffered
+        const lastEventId = Number(req.get('Last-Event-ID'));
+        if (lastEventId) {
+            this.buffer
+                .filter(entry => entry.id > lastEventId && this.accepts(client, entry.event))
+                .forEach(entry => this.write(res, entry));
+        } else if (res.flush) {
+            res.flush();
+        }
+
+        this.clients.add(client);
+        console.info(`Event stream client connected (${this.clients.size} active)`);
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            console.info(`Event stream client disconnected (${this.clients.size} active)`);
+        });
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        this.clients.forEach(({ res }) => res.end());
+        this.clients.clear();
+    }
+}
+
+module.exports = EventStream;
@@ -0,0 +1,188 @@
+// src/services/HistoryStore.js
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const LOG_NAME = 'history';
+
+const appKey = (cluster, app) => `${cluster}/${app}`;
+
+class HistoryStore {
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.retention = (options.retentionDays || 30) * DAY;
+        this.entries = [];
+        this.lastKnown = new Map();
+    }
+
+    // Replaces the in-memory transitions with the ones kept in the storage
+    async load() {
+        if (!this.storage) return;
+
+        try {
+            const entries = await this.storage.readLog(LOG_NAME);
+            this.entries = [];
+            this.lastKnown.clear();
+            entries.forEach(entry => this.apply(entry));
+            this.prune();
+        } catch (error) {
+            console.error(`Failed to load history: ${error.message}`);
+        }
+    }
+
+    apply(entry) {
+        this.entries.push(entry);
+        const key = appKey(entry.cluster, entry.application);
+
+        if (entry.type === 'removed') {
+            this.lastKnown.delete(key);
+        } else {
+            this.lastKnown.set(key, {
+                healthStatus: entry.healthStatus,
+                syncStatus: entry.syncStatus,
+                revision: entry.revision,
+                since: entry.timestamp
+            });
+        }
+    }
+
+    // Compares the latest cluster results with the last known state and records every change
+    async record(clusterResults, timestamp = new Date().toISOString()) {
+        const transitions = [];
+
+        clusterResults.forEach(result => {
+            const seen = new Set();
+
+            (result.applications || []).forEach(app => {
+                const key = appKey(result.name, app.name);
+                const previous = this.lastKnown.get(key);
+                const revision = app.status?.sync?.revision || null;
+                seen.add(key);
+
+                if (previous &&
+                    previous.healthStatus === app.healthStatus &&
+                    previous.syncStatus === app.syncStatus) {
+                    return;
+                }
+
+                transitions.push({
+                    timestamp,
+                    type: previous ? 'changed' : 'added',
+                    cluster: result.name,
+                    application: app.name,
+                    healthStatus: app.healthStatus,
+                    syncStatus: app.syncStatus,
+                    previousHealthStatus: previous?.healthStatus || null,
+                    previousSyncStatus: previous?.syncStatus || null,
+                    revision
+                });
+            });
+
+            // Apps of a cluster that could not be read are unknown, not deleted
+            if (result.health?.reachable === false) return;
+
+            const prefix = `${result.name}/`;
+            for (const [key, previous] of this.lastKnown) {
+                if (!key.startsWith(prefix) || seen.has(key)) continue;
+                transitions.push({
+                    timestamp,
+                    type: 'removed',
+                    cluster: result.name,
+                    application: key.slice(prefix.length),
+                    healthStatus: null,
+                    syncStatus: null,
+                    previousHealthStatus: previous.healthStatus,
+                    previousSyncStatus: previous.syncStatus,
+                    revision: previous.revision
+                });
+            }
+        });
+
+        transitions.forEach(entry => this.apply(entry));
+        const pruned = this.prune();
+
+        if (this.storage) {
+            await this.persist(pruned > 0 ? this.entries : transitions, pruned > 0);
+        }
+
+        return transitions;
+    }
+
+    // Drops transitions older than the retention period, except the latest one of each application
+    // still present: it holds the state the application is in, which load() must restore
+    prune(now = Date.now()) {
+        const cutoff = now - this.retention;
+        if (this.entries.length === 0 || Date.parse(this.entries[0].timestamp) >= cutoff) return 0;
+
+        const latest = new Map(this.entries.map((entry, index) => [appKey(entry.cluster, entry.application), index]));
+        const count = this.entries.length;
+        this.entries = this.entries.filter((entry, index) =>
+            Date.parse(entry.timestamp) >= cutoff ||
+            (entry.type !== 'removed' && latest.get(appKey(entry.cluster, entry.application)) === index));
+        return count - this.entries.length;
+    }
+
+    async persist(entries, rewrite) {
+        if (!rewrite && entries.length === 0) return;
+
+        try {
+            if (rewrite) {
+                await this.storage.replaceLog(LOG_NAME, entries);
+            } else {
+                await this.storage.appendLog(LOG_NAME, entries);
+            }
+        } catch (error) {
+            console.error(`Failed to persist history: ${error.message}`);
+        }
+    }
+
+    query({ cluster, application, since, until, limit } = {}) {
+        let entries = this.entries.filter(entry => {
+            const time = Date.parse(entry.timestamp);
+            if (cluster && entry.cluster !== cluster) return false;
+            if (application && entry.application !== application) return false;
+            if (since && time < since) return false;
+            if (until && time > until) return false;
+            return true;
+        });
+
+        if (limit && entries.length > limit) {
+            entries = entries.slice(entries.length - limit);
+        }
+        return entries;
+    }
+
+    // Returns the transitions of one application, each annotated with how long that state lasted
+    getApplicationHistory(cluster, application, options = {}) {
+        const all = this.query({ cluster, application });
+        const now = Date.now();
+
+        const transitions = all.map((entry, index) => {
+            const next = all[index + 1];
+            const endedAt = next ? Date.parse(next.timestamp) : now;
+            return {
+                ...entry,
+                until: next ? next.timestamp : null,
+                durationMs: endedAt - Date.parse(entry.timestamp)
+            };
+        }).filter(entry => {
+            const time = Date.parse(entry.timestamp);
+            const endedAt = entry.until ? Date.parse(entry.until) : now;
+            if (options.since && endedAt < options.since) return false;
+            if (options.until && time > options.until) return false;
+            return true;
+        });
+
+        const limited = options.limit && transitions.length > options.limit ?
+            transitions.slice(transitions.length - options.limit) :
+            transitions;
+
+        return {
+            cluster,
+            application,
+            current: this.lastKnown.get(appKey(cluster, application)) || null,
+            transitions: limited
+        };
+    }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,50 @@
+// src/services/LeaderElector.js
+
+const os = require('os');
+
+// Holds a lease in the shared storage; only the instance holding it polls ArgoCD and sends alerts.
+// The lease is renewed well before it runs out, so a crashed leader is replaced within leaseMs.
+class LeaderElector {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.name = options.name || 'poller';
+        this.id = options.id || `${os.hostname()}-${process.pid}`;
+        this.leaseMs = Number(options.leaseMs) || 30000;
+        this.isLeader = false;
+        this.timer = null;
+    }
+
+    async check() {
+        let acquired = false;
+        try {
+            acquired = await this.storage.acquireLock(this.name, this.id, this.leaseMs);
+        } catch (error) {
+            console.error(`Leader election failed: ${error.message}`);
+        }
+
+        if (acquired !== this.isLeader) {
+            console.log(acquired ?
+                `Instance ${this.id} became the leader` :
+                `Instance ${this.id} is no longer the leader`);
+        }
+        this.isLeader = acquired;
+        return acquired;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.check(), this.leaseMs / 3);
+        this.timer.unref();
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.isLeader) {
+            await this.storage.releaseLock(this.name, this.id).catch(() => {});
+            this.isLeader = false;
+        }
+    }
+}
+
+module.exports = LeaderElector;
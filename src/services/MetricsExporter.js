@@ -0,0 +1,181 @@
+// src/services/MetricsExporter.js
+
+const HEALTH_STATUSES = ['Healthy', 'Progressing', 'Degraded', 'Suspended', 'Missing', 'Unknown'];
+const SYNC_STATUSES = ['Synced', 'OutOfSync', 'Unknown'];
+
+const CONTENT_TYPES = {
+    prometheus: 'text/plain; version=0.0.4; charset=utf-8',
+    openmetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+};
+
+const escapeLabel = value => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+const formatLabels = labels => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+class MetricFamily {
+    constructor(name, type, help) {
+        this.name = name;
+        this.type = type;
+        this.help = help;
+        this.samples = [];
+    }
+
+    add(labels, value) {
+        this.samples.push({ labels, value });
+        return this;
+    }
+
+    render(format) {
+        // OpenMetrics names counter families without the _total suffix their samples carry
+        const sampleName = this.type === 'counter' ? `${this.name}_total` : this.name;
+        const familyName = this.type === 'counter' && format === 'prometheus' ? sampleName : this.name;
+
+        const lines = [
+            `# HELP ${familyName} ${this.help}`,
+            `# TYPE ${familyName} ${this.type}`
+        ];
+        this.samples.forEach(({ labels, value }) => {
+            lines.push(`${sampleName}${formatLabels(labels)} ${Number.isFinite(value) ? value : 0}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+const appLabels = (cluster, app) => ({
+    cluster: cluster.name,
+    project: app.spec?.project || '',
+    namespace: app.spec?.destination?.namespace || '',
+    app: app.name
+});
+
+function collectApplicationMetrics(clusters) {
+    const health = new MetricFamily('argovisor_app_health_status', 'gauge',
+        'Health status of an ArgoCD application (1 for the current status)');
+    const sync = new MetricFamily('argovisor_app_sync_status', 'gauge',
+        'Sync status of an ArgoCD application (1 for the current status)');
+    const operation = new MetricFamily('argovisor_app_operation_phase', 'gauge',
+        'Phase of the last operation of an ArgoCD application');
+    const totals = new MetricFamily('argovisor_apps', 'gauge',
+        'Number of applications per cluster, project, namespace, health and sync status');
+
+    const grouped = new Map();
+
+    clusters.forEach(cluster => {
+        (cluster.applications || []).forEach(app => {
+            const labels = appLabels(cluster, app);
+
+            HEALTH_STATUSES.forEach(status => {
+                health.add({ ...labels, status }, app.healthStatus === status ? 1 : 0);
+            });
+            SYNC_STATUSES.forEach(status => {
+                sync.add({ ...labels, status }, app.syncStatus === status ? 1 : 0);
+            });
+
+            const phase = app.status?.operationState?.phase;
+            if (phase) {
+                operation.add({ ...labels, phase }, 1);
+            }
+
+            const groupLabels = {
+                cluster: labels.cluster,
+                project: labels.project,
+                namespace: labels.namespace,
+                health_status: app.healthStatus,
+                sync_status: app.syncStatus
+            };
+            const key = JSON.stringify(groupLabels);
+            const group = grouped.get(key) || { labels: groupLabels, count: 0 };
+            group.count++;
+            grouped.set(key, group);
+        });
+    });
+
+    grouped.forEach(({ labels, count }) => totals.add(labels, count));
+
+    return [totals, health, sync, operation];
+}
+
+function collectClusterMetrics(clusters) {
+    const up = new MetricFamily('argovisor_cluster_up', 'gauge',
+        'Whether the last poll of a cluster succeeded');
+    const failures = new MetricFamily('argovisor_cluster_consecutive_failures', 'gauge',
+        'Failed polls of a cluster since its last success');
+    const lastSuccess = new MetricFamily('argovisor_cluster_last_success_timestamp_seconds', 'gauge',
+        'Unix time of the last successful poll of a cluster');
+    const latency = new MetricFamily('argovisor_cluster_fetch_latency_seconds', 'gauge',
+        'Duration of the last application list request of a cluster');
+    const stale = new MetricFamily('argovisor_cluster_stale', 'gauge',
+        'Whether the applications of a cluster are served from an outdated snapshot');
+    const dataAge = new MetricFamily('argovisor_cluster_data_age_seconds', 'gauge',
+        'Age of the application data served for a cluster');
+
+    clusters.forEach(cluster => {
+        const health = cluster.health || {};
+        const labels = { cluster: cluster.name };
+        up.add(labels, health.reachable ? 1 : 0);
+        failures.add(labels, health.consecutiveFailures || 0);
+        lastSuccess.add(labels, health.lastSuccess ? Date.parse(health.lastSuccess) / 1000 : 0);
+        if (health.latencyMs !== null && health.latencyMs !== undefined) {
+            latency.add(labels, health.latencyMs / 1000);
+        }
+        stale.add(labels, cluster.stale ? 1 : 0);
+        if (cluster.ageSeconds !== null && cluster.ageSeconds !== undefined) {
+            dataAge.add(labels, cluster.ageSeconds);
+        }
+    });
+
+    return [up, failures, lastSuccess, latency, stale, dataAge];
+}
+
+function collectPollerMetrics(stats, state) {
+    const families = [
+        new MetricFamily('argovisor_refresh_duration_seconds', 'gauge',
+            'Duration of the last refresh cycle')
+            .add({}, stats.lastRefreshDuration / 1000),
+        new MetricFamily('argovisor_refreshes', 'counter',
+            'Completed refresh cycles')
+            .add({}, stats.refreshCount),
+        new MetricFamily('argovisor_refresh_errors', 'counter',
+            'Refresh cycles that ended with an error')
+            .add({}, stats.refreshErrors),
+        new MetricFamily('argovisor_last_refresh_timestamp_seconds', 'gauge',
+            'Unix time of the last completed refresh cycle')
+            .add({}, state.lastUpdate ? Date.parse(state.lastUpdate) / 1000 : 0)
+    ];
+
+    const fetchErrors = new MetricFamily('argovisor_cluster_fetch_errors', 'counter',
+        'Failed application list requests per cluster');
+    const tokenRefreshes = new MetricFamily('argovisor_cluster_token_refreshes', 'counter',
+        'ArgoCD session tokens obtained per cluster');
+
+    Object.keys(stats.clusters).forEach(cluster => {
+        fetchErrors.add({ cluster }, stats.clusters[cluster].fetchErrors);
+        tokenRefreshes.add({ cluster }, stats.clusters[cluster].tokenRefreshes);
+    });
+
+    return [...families, fetchErrors, tokenRefreshes];
+}
+
+// Renders the cached state and poller statistics in the Prometheus or OpenMetrics text format
+function renderMetrics(clusters, stats, state, format = 'prometheus') {
+    const families = [
+        ...collectApplicationMetrics(clusters),
+        ...collectClusterMetrics(clusters),
+        ...collectPollerMetrics(stats, state)
+    ];
+
+    const body = families.map(family => family.render(format)).join('\n');
+    return format === 'openmetrics' ? `${body}\n# EOF\n` : `${body}\n`;
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    renderMetrics
+};
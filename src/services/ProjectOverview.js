@@ -0,0 +1,151 @@
+// src/services/ProjectOverview.js
+
+const { matchGlob } = require('../utils/matchers');
+
+const mapProject = project => ({
+    name: project.metadata?.name || 'Unknown',
+    description: project.spec?.description || null,
+    sourceRepos: project.spec?.sourceRepos || [],
+    destinations: project.spec?.destinations || [],
+    roles: (project.spec?.roles || []).map(role => role.name),
+    syncWindows: project.spec?.syncWindows || []
+});
+
+// Generators are objects with a single key naming their type, next to an optional selector
+const generatorTypes = generators => (generators || []).map(generator =>
+    Object.keys(generator).find(key => key !== 'selector') || 'unknown');
+
+// ArgoCD reports generator and template problems as conditions of the ApplicationSet
+function applicationSetStatus(conditions) {
+    const condition = type => conditions.find(candidate => candidate.type === type);
+    if (condition('ErrorOccurred')?.status === 'True' || condition('ParametersGenerated')?.status === 'False') {
+        return 'Error';
+    }
+    if (condition('ResourcesUpToDate')?.status === 'True') return 'Healthy';
+    return conditions.length > 0 ? 'Progressing' : 'Unknown';
+}
+
+const mapApplicationSet = appSet => {
+    const conditions = appSet.status?.conditions || [];
+    return {
+        name: appSet.metadata?.name || 'Unknown',
+        namespace: appSet.metadata?.namespace || null,
+        project: appSet.spec?.template?.spec?.project || null,
+        generators: generatorTypes(appSet.spec?.generators),
+        strategy: appSet.spec?.strategy?.type || null,
+        status: applicationSetStatus(conditions),
+        conditions: conditions.map(({ type, status, reason, message, lastTransitionTime }) => ({
+            type, status, reason: reason || null, message: message || null, lastTransitionTime: lastTransitionTime || null
+        })),
+        applicationStatus: appSet.status?.applicationStatus || [],
+        resources: (appSet.status?.resources || []).map(resource => resource.name)
+    };
+};
+
+function countApplications(applications) {
+    const counts = { total: applications.length, health: {}, sync: {} };
+    applications.forEach(app => {
+        counts.health[app.healthStatus] = (counts.health[app.healthStatus] || 0) + 1;
+        counts.sync[app.syncStatus] = (counts.sync[app.syncStatus] || 0) + 1;
+    });
+    return counts;
+}
+
+const projectOf = app => app.spec?.project || 'default';
+
+const ownerOf = app => (app.metadata?.ownerReferences || [])
+    .find(owner => owner.kind === 'ApplicationSet')?.name || null;
+
+// Application counts per project name, summed over the given clusters
+function metricsByProject(clusters) {
+    const projects = {};
+    clusters.forEach(result => {
+        (result.applications || []).forEach(app => {
+            const name = projectOf(app);
+            const metrics = projects[name] || (projects[name] = {
+                totalApps: 0,
+                healthyApps: 0,
+                degradedApps: 0,
+                unknownApps: 0,
+                syncedApps: 0,
+                outOfSyncApps: 0
+            });
+            metrics.totalApps++;
+            if (app.healthStatus === 'Healthy') metrics.healthyApps++;
+            if (app.healthStatus === 'Degraded') metrics.degradedApps++;
+            if (app.healthStatus === 'Unknown') metrics.unknownApps++;
+            if (app.syncStatus === 'Synced') metrics.syncedApps++;
+            if (app.syncStatus === 'OutOfSync') metrics.outOfSyncApps++;
+        });
+    });
+    return projects;
+}
+
+// One entry per cluster and project. Projects only known from their applications are listed
+// too, e.g. when the project list could not be read with the cluster's credentials.
+function summarizeProjects(clusters, { name = null } = {}) {
+    const summaries = [];
+    clusters.forEach(result => {
+        const applications = result.applications || [];
+        const applicationSets = result.applicationSets || [];
+        const projects = new Map((result.projects || []).map(project => [project.name, project]));
+        applications.forEach(app => {
+            if (!projects.has(projectOf(app))) projects.set(projectOf(app), mapProject({ metadata: { name: projectOf(app) } }));
+        });
+
+        [...projects.values()]
+            .filter(project => !name || matchGlob(name, project.name))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(project => {
+                summaries.push({
+                    cluster: result.name,
+                    ...project,
+                    applications: countApplications(applications.filter(app => projectOf(app) === project.name)),
+                    applicationSets: applicationSets
+                        .filter(appSet => appSet.project === project.name)
+                        .map(appSet => appSet.name)
+                });
+            });
+    });
+    return summaries;
+}
+
+// One entry per cluster and ApplicationSet with the applications it generated: those it owns,
+// and those listed in its status whose owner reference is not known
+function summarizeApplicationSets(clusters, { name = null, status = null } = {}) {
+    const summaries = [];
+    clusters.forEach(result => {
+        const applications = result.applications || [];
+        (result.applicationSets || [])
+            .filter(appSet => !name || matchGlob(name, appSet.name))
+            .filter(appSet => !status || appSet.status === status)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(({ resources, applicationStatus, ...appSet }) => {
+                const children = applications.filter(app => {
+                    const owner = ownerOf(app);
+                    return owner ? owner === appSet.name : resources.includes(app.name);
+                });
+                summaries.push({
+                    cluster: result.name,
+                    ...appSet,
+                    applications: countApplications(children),
+                    children: children.map(app => ({
+                        name: app.name,
+                        project: projectOf(app),
+                        healthStatus: app.healthStatus,
+                        syncStatus: app.syncStatus,
+                        rolloutStatus: applicationStatus.find(entry => entry.application === app.name)?.status || null
+                    }))
+                });
+            });
+    });
+    return summaries;
+}
+
+module.exports = {
+    mapProject,
+    mapApplicationSet,
+    metricsByProject,
+    summarizeProjects,
+    summarizeApplicationSets
+};
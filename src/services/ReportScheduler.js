@@ -0,0 +1,74 @@
+// src/services/ReportScheduler.js
+
+const cron = require('node-cron');
+const { buildAvailabilityReport } = require('./AvailabilityReport');
+const { parseDuration } = require('../utils/time');
+
+// Sends digest reports covering the last `period` on cron schedules. Every replica schedules
+// them, but only the leader sends, so each report goes out once.
+class ReportScheduler {
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.timezone = options.timezone;
+        this.reports = (options.reports || []).map((report, index) => {
+            if (!cron.validate(report.schedule || '')) {
+                throw new Error(`Report ${report.name || index}: invalid cron schedule ${report.schedule}`);
+            }
+            return {
+                name: report.name || `report-${index + 1}`,
+                schedule: report.schedule,
+                periodMs: parseDuration(report.period) || 24 * 60 * 60 * 1000,
+                channels: report.channels || null
+            };
+        });
+        this.tasks = [];
+    }
+
+    start() {
+        if (this.tasks.length > 0) return;
+        this.tasks = this.reports.map(report => cron.schedule(report.schedule, () => {
+            this.send(report).catch(error => {
+                console.error(`Report ${report.name} failed: ${error.message}`);
+            });
+        }, { timezone: this.timezone }));
+        if (this.reports.length > 0) {
+            console.log(`Reports scheduled: ${this.reports.map(report => `${report.name} (${report.schedule})`).join(', ')}`);
+        }
+    }
+
+    stop() {
+        this.tasks.forEach(task => task.stop());
+        this.tasks = [];
+    }
+
+    build(report, now = Date.now()) {
+        return buildAvailabilityReport(this.monitor.history, this.monitor.getGlobalState(), {
+            from: now - report.periodMs,
+            to: now
+        });
+    }
+
+    async send(report) {
+        if (!this.monitor.leader.isLeader) return;
+
+        const notification = {
+            event: 'report',
+            name: report.name,
+            timestamp: new Date().toISOString(),
+            report: this.build(report)
+        };
+        const notifiers = this.monitor.notifiersFor(null, report.channels)
+            .filter(notifier => !notifier.accepts || notifier.accepts(notification));
+
+        await Promise.all(notifiers.map(async notifier => {
+            try {
+                await notifier.send(notification);
+                console.info(`Report ${report.name} sent via ${notifier.name}`);
+            } catch (error) {
+                console.error(`Failed to send report ${report.name} via ${notifier.name}: ${error.message}`);
+            }
+        }));
+    }
+}
+
+module.exports = ReportScheduler;
@@ -0,0 +1,124 @@
+// src/services/ResourceView.js
+
+// Alert payloads carry at most this many resources per application
+const MAX_ALERT_RESOURCES = 10;
+
+const resourceRef = resource => ({
+    group: resource.group || '',
+    version: resource.version || null,
+    kind: resource.kind,
+    namespace: resource.namespace || null,
+    name: resource.name
+});
+
+const resourceKey = resource =>
+    [resource.group || '', resource.kind, resource.namespace || '', resource.name].join('/');
+
+// A resource without a health assessment (ConfigMaps, Services...) is never reported as unhealthy
+const isUnhealthy = resource => Boolean(resource.health && resource.health !== 'Healthy');
+
+const parseState = value => {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+};
+
+// The info list of a tree node (pod phase, restart count, container states...) as a plain object
+const nodeInfo = info => (info || []).reduce((result, { name, value }) => {
+    result[name] = value;
+    return result;
+}, {});
+
+function normalizeNode(node) {
+    return {
+        ...resourceRef(node),
+        uid: node.uid || null,
+        parents: (node.parentRefs || []).map(parent => parent.uid || resourceKey(parent)),
+        health: node.health?.status || null,
+        message: node.health?.message || null,
+        images: node.images || [],
+        info: nodeInfo(node.info),
+        createdAt: node.createdAt || null
+    };
+}
+
+// Flattens ArgoCD's resource tree; unhealthyOnly keeps the nodes that are not Healthy
+function normalizeTree(tree, { unhealthyOnly = false } = {}) {
+    const keep = node => !unhealthyOnly || isUnhealthy(node);
+    const nodes = (tree?.nodes || []).map(normalizeNode).filter(keep);
+    const orphaned = (tree?.orphanedNodes || []).map(normalizeNode).filter(keep);
+    return {
+        count: nodes.length,
+        nodes,
+        orphaned
+    };
+}
+
+// Managed resources only hold the live and desired manifests; health and sync status come
+// from the application's status.resources
+function normalizeManagedResources(data, app, { includeState = false } = {}) {
+    const statuses = new Map((app?.status?.resources || []).map(resource => [resourceKey(resource), resource]));
+
+    return (data?.items || []).map(item => {
+        const status = statuses.get(resourceKey(item));
+        const resource = {
+            ...resourceRef(item),
+            syncStatus: status?.status || null,
+            health: status?.health?.status || null,
+            message: status?.health?.message || null,
+            requiresPruning: Boolean(item.requiresPruning || status?.requiresPruning),
+            hook: Boolean(item.hook || status?.hook)
+        };
+        if (includeState) {
+            resource.live = parseState(item.normalizedLiveState || item.liveState);
+            resource.target = parseState(item.predictedLiveState || item.targetState);
+        }
+        return resource;
+    });
+}
+
+// Kubernetes events of the application and its resources, most recent first
+function normalizeEvents(data) {
+    return (data?.items || [])
+        .map(event => ({
+            type: event.type || 'Normal',
+            reason: event.reason || null,
+            message: event.message || null,
+            count: event.count || 1,
+            firstTimestamp: event.firstTimestamp || event.eventTime || null,
+            lastTimestamp: event.lastTimestamp || event.eventTime || event.firstTimestamp || null,
+            object: event.involvedObject ? {
+                kind: event.involvedObject.kind,
+                namespace: event.involvedObject.namespace || null,
+                name: event.involvedObject.name,
+                uid: event.involvedObject.uid || null
+            } : null,
+            source: event.source?.component || event.reportingComponent || null
+        }))
+        .sort((a, b) => String(b.lastTimestamp || '').localeCompare(String(a.lastTimestamp || '')));
+}
+
+// Unhealthy resources from the cached status.resources, so alerts need no extra ArgoCD calls
+function unhealthyResources(app, limit = MAX_ALERT_RESOURCES) {
+    return (app?.status?.resources || [])
+        .map(resource => ({
+            kind: resource.kind,
+            namespace: resource.namespace || null,
+            name: resource.name,
+            health: resource.health?.status || null,
+            message: resource.health?.message || null,
+            syncStatus: resource.status || null
+        }))
+        .filter(isUnhealthy)
+        .slice(0, limit);
+}
+
+module.exports = {
+    normalizeTree,
+    normalizeManagedResources,
+    normalizeEvents,
+    unhealthyResources
+};
@@ -0,0 +1,114 @@
+// src/services/SilenceManager.js
+
+const crypto = require('crypto');
+const { matchApplication, matchPattern, matchGlob, isRegexPattern } = require('../utils/matchers');
+const { parseDuration } = require('../utils/time');
+const PersistedMap = require('../storage/PersistedMap');
+
+const MATCHER_KEYS = ['cluster', 'project', 'namespace', 'app', 'labels', 'severity', 'rule'];
+
+// Silences come from API requests, so their matchers are globs only: they run against every
+// application each cycle, and a /regex/ could take the event loop down with catastrophic backtracking
+const matcherValues = value => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) return Object.values(value).flatMap(matcherValues);
+    return [].concat(value ?? []);
+};
+
+class SilenceManager {
+    constructor(options = {}) {
+        this.silences = new PersistedMap(options.storage, 'silences/');
+    }
+
+    load() {
+        return this.silences.load();
+    }
+
+    flush() {
+        return this.silences.flush();
+    }
+
+    create({ matchers, startsAt, endsAt, duration, comment, createdBy }) {
+        if (!matchers || typeof matchers !== 'object' || Object.keys(matchers).length === 0) {
+            throw new Error('At least one matcher is required');
+        }
+
+        const unknown = Object.keys(matchers).filter(key => !MATCHER_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown matchers: ${unknown.join(', ')}`);
+        }
+        if (matcherValues(matchers).some(value => isRegexPattern(String(value).replace(/^!/, '')))) {
+            throw new Error('Silence matchers take globs such as "web-*", not regular expressions');
+        }
+
+        const start = startsAt ? Date.parse(startsAt) : Date.now();
+        const end = endsAt ? Date.parse(endsAt) : start + (parseDuration(duration) || 0);
+        if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+            throw new Error('A valid endsAt or duration is required');
+        }
+
+        const silence = {
+            id: crypto.randomUUID(),
+            matchers,
+            startsAt: new Date(start).toISOString(),
+            endsAt: new Date(end).toISOString(),
+            comment: comment || '',
+            createdBy: createdBy || 'unknown',
+            createdAt: new Date().toISOString()
+        };
+
+        this.silences.set(silence.id, silence);
+        console.log(`Silence ${silence.id} created until ${silence.endsAt} by ${silence.createdBy}`);
+        return silence;
+    }
+
+    expire(id) {
+        const silence = this.silences.get(id);
+        if (!silence) return null;
+
+        silence.endsAt = new Date().toISOString();
+        this.silences.touch(id);
+        console.log(`Silence ${id} expired`);
+        return silence;
+    }
+
+    get(id) {
+        return this.silences.get(id) || null;
+    }
+
+    isActive(silence, now = Date.now()) {
+        return Date.parse(silence.startsAt) <= now && Date.parse(silence.endsAt) > now;
+    }
+
+    list({ includeExpired = false } = {}) {
+        const now = Date.now();
+        return [...this.silences.values()]
+            .filter(silence => includeExpired || Date.parse(silence.endsAt) > now)
+            .map(silence => ({ ...silence, active: this.isActive(silence, now) }));
+    }
+
+    // Returns the active silence covering an alert for an application, if any
+    findSilence(clusterName, app, { severity, rule } = {}, now = Date.now()) {
+        for (const silence of this.silences.values()) {
+            if (!this.isActive(silence, now)) continue;
+
+            const { matchers } = silence;
+            if (matchApplication(matchers, clusterName, app, matchGlob) &&
+                matchPattern(matchers.severity, severity, matchGlob) &&
+                matchPattern(matchers.rule, rule, matchGlob)) {
+                return silence;
+            }
+        }
+        return null;
+    }
+
+    // Drops silences that ended more than a day ago
+    prune(now = Date.now()) {
+        for (const [id, silence] of this.silences) {
+            if (Date.parse(silence.endsAt) < now - 24 * 60 * 60 * 1000) {
+                this.silences.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = SilenceManager;
@@ -0,0 +1,213 @@
+// src/storage/FileStorage.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sleep } = require('../utils/retry');
+
+// A mutex directory older than this was left behind by an instance that died holding it
+const STALE_MUTEX_MS = 10000;
+const MUTEX_RETRIES = 40;
+const MUTEX_RETRY_DELAY = 25;
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+// Writes through a temporary file so a crash never leaves a truncated file behind
+async function writeAtomic(filePath, data) {
+    const temporary = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(temporary, data);
+    await fs.promises.rename(temporary, filePath);
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Keeps values in one JSON document and every log in its own JSON lines file. Instances sharing
+// the directory take turns through mutex directories, since creating a directory either succeeds
+// or fails atomically; every write re-reads what the others wrote. Locks are lease files.
+class FileStorage {
+    constructor(options = {}) {
+        this.type = 'file';
+        this.persistent = true;
+        this.directory = options.directory || './data';
+        this.logFiles = options.logs || {};
+        this.statePath = path.join(this.directory, 'state.json');
+        this.values = null;
+        this.loadedAt = null;
+        this.writes = Promise.resolve();
+        this.exclusiveQueue = Promise.resolve();
+    }
+
+    logPath(name) {
+        return this.logFiles[name] || path.join(this.directory, `${name}.jsonl`);
+    }
+
+    async modifiedAt() {
+        try {
+            return (await fs.promises.stat(this.statePath)).mtimeMs;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Re-reads the state document when another instance wrote it since it was last read
+    async load() {
+        await this.writes;
+        const modifiedAt = await this.modifiedAt();
+        if (!this.values || modifiedAt !== this.loadedAt) {
+            await fs.promises.mkdir(this.directory, { recursive: true });
+            this.values = (await readJson(this.statePath)) || {};
+            this.loadedAt = modifiedAt;
+        }
+        return this.values;
+    }
+
+    // Serializes writes of the state document; each one writes the latest values
+    save() {
+        this.writes = this.writes
+            .then(async () => {
+                await writeAtomic(this.statePath, JSON.stringify(this.values));
+                this.loadedAt = await this.modifiedAt();
+            })
+            .catch(error => console.error(`Failed to write ${this.statePath}: ${error.message}`));
+        return this.writes;
+    }
+
+    // Runs fn while holding the named mutex. Calls of this process queue up in front of it, so
+    // they do not compete with each other for the directory.
+    exclusive(name, fn) {
+        const run = this.exclusiveQueue.then(() => this.withMutex(name, fn));
+        this.exclusiveQueue = run.catch(() => {});
+        return run;
+    }
+
+    async withMutex(name, fn) {
+        const mutexPath = path.join(this.directory, `${name}.mutex`);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await fs.promises.mkdir(mutexPath);
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const stat = await fs.promises.stat(mutexPath).catch(() => null);
+            if (stat && Date.now() - stat.mtimeMs > STALE_MUTEX_MS) {
+                await fs.promises.rmdir(mutexPath).catch(() => {});
+            } else if (attempt >= MUTEX_RETRIES) {
+                throw new Error(`${mutexPath} is held by another instance`);
+            } else {
+                await sleep(MUTEX_RETRY_DELAY);
+            }
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await fs.promises.rmdir(mutexPath).catch(() => {});
+        }
+    }
+
+    // Applies a change to the latest state document
+    update(change) {
+        return this.exclusive('state', async () => {
+            await this.writes;
+            this.values = null;
+            change(await this.load());
+            await this.save();
+        });
+    }
+
+    async get(key) {
+        const values = await this.load();
+        return values[key] === undefined ? null : copy(values[key]);
+    }
+
+    async set(key, value) {
+        await this.update(values => {
+            values[key] = copy(value);
+        });
+    }
+
+    async delete(key) {
+        await this.update(values => {
+            delete values[key];
+        });
+    }
+
+    async list(prefix) {
+        const values = await this.load();
+        return Object.keys(values)
+            .filter(key => key.startsWith(prefix))
+            .map(key => copy(values[key]));
+    }
+
+    async appendLog(name, entries) {
+        if (entries.length === 0) return;
+        const filePath = this.logPath(name);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await this.exclusive(`${name}.log`, () =>
+            fs.promises.appendFile(filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n'));
+    }
+
+    async readLog(name) {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.logPath(name), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return content.split('\n').filter(Boolean).reduce((entries, line) => {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`Entry of ${name} skipped: ${error.message}`);
+            }
+            return entries;
+        }, []);
+    }
+
+    async replaceLog(name, entries) {
+        const filePath = this.logPath(name);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const data = entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+        await this.exclusive(`${name}.log`, () => writeAtomic(filePath, data));
+    }
+
+    async acquireLock(name, owner, ttlMs) {
+        const lockPath = path.join(this.directory, `${name}.lock`);
+        return this.exclusive(`${name}.lock`, async () => {
+            const lock = await readJson(lockPath).catch(() => null);
+            if (lock && lock.owner !== owner && lock.expiresAt > Date.now()) return false;
+
+            await writeAtomic(lockPath, JSON.stringify({ owner, expiresAt: Date.now() + ttlMs }));
+            return true;
+        });
+    }
+
+    async releaseLock(name, owner) {
+        const lockPath = path.join(this.directory, `${name}.lock`);
+        await this.exclusive(`${name}.lock`, async () => {
+            const lock = await readJson(lockPath).catch(() => null);
+            if (lock?.owner === owner) {
+                await fs.promises.unlink(lockPath).catch(() => {});
+            }
+        });
+    }
+
+    async close() {
+        await this.writes;
+    }
+}
+
+module.exports = FileStorage;
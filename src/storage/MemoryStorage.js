@@ -0,0 +1,63 @@
+// src/storage/MemoryStorage.js
+
+// Values are stored as copies so callers see the same semantics as with the persistent backends
+const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+class MemoryStorage {
+    constructor() {
+        this.type = 'memory';
+        this.persistent = false;
+        this.values = new Map();
+        this.logs = new Map();
+        this.locks = new Map();
+    }
+
+    async get(key) {
+        return this.values.has(key) ? copy(this.values.get(key)) : null;
+    }
+
+    async set(key, value) {
+        this.values.set(key, copy(value));
+    }
+
+    async delete(key) {
+        this.values.delete(key);
+    }
+
+    async list(prefix) {
+        return [...this.values.entries()]
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([, value]) => copy(value));
+    }
+
+    async appendLog(name, entries) {
+        const log = this.logs.get(name) || [];
+        log.push(...copy(entries));
+        this.logs.set(name, log);
+    }
+
+    async readLog(name) {
+        return copy(this.logs.get(name) || []);
+    }
+
+    async replaceLog(name, entries) {
+        this.logs.set(name, copy(entries));
+    }
+
+    async acquireLock(name, owner, ttlMs) {
+        const lock = this.locks.get(name);
+        if (lock && lock.owner !== owner && lock.expiresAt > Date.now()) return false;
+        this.locks.set(name, { owner, expiresAt: Date.now() + ttlMs });
+        return true;
+    }
+
+    async releaseLock(name, owner) {
+        if (this.locks.get(name)?.owner === owner) {
+            this.locks.delete(name);
+        }
+    }
+
+    async close() {}
+}
+
+module.exports = MemoryStorage;
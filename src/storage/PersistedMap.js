@@ -0,0 +1,65 @@
+// src/storage/PersistedMap.js
+
+// A Map of records keyed by id that remembers what changed since the last flush.
+// Records changed in place must be marked with touch().
+class PersistedMap extends Map {
+    constructor(storage, prefix) {
+        super();
+        this.storage = storage;
+        this.prefix = prefix;
+        this.changed = new Set();
+        this.deleted = new Set();
+    }
+
+    set(id, record) {
+        super.set(id, record);
+        this.touch(id);
+        return this;
+    }
+
+    delete(id) {
+        this.changed.delete(id);
+        this.deleted.add(id);
+        return super.delete(id);
+    }
+
+    touch(id) {
+        this.changed.add(id);
+        this.deleted.delete(id);
+    }
+
+    // Replaces the contents with the stored records, keeping changes not flushed yet
+    async load() {
+        if (!this.storage) return;
+
+        const records = await this.storage.list(this.prefix);
+        const pending = new Map([...this.changed].map(id => [id, this.get(id)]));
+        super.clear();
+        records.forEach(record => {
+            if (!this.deleted.has(record.id)) super.set(record.id, record);
+        });
+        pending.forEach((record, id) => super.set(id, record));
+    }
+
+    async flush() {
+        if (!this.storage) return;
+
+        const changed = [...this.changed];
+        const deleted = [...this.deleted];
+        this.changed.clear();
+        this.deleted.clear();
+
+        try {
+            await Promise.all([
+                ...changed.filter(id => this.has(id)).map(id => this.storage.set(`${this.prefix}${id}`, this.get(id))),
+                ...deleted.map(id => this.storage.delete(`${this.prefix}${id}`))
+            ]);
+        } catch (error) {
+            changed.forEach(id => this.changed.add(id));
+            deleted.forEach(id => this.deleted.add(id));
+            console.error(`Failed to persist ${this.prefix}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = PersistedMap;
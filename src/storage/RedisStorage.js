@@ -0,0 +1,94 @@
+// src/storage/RedisStorage.js
+
+const Redis = require('ioredis');
+
+// Extends a lease only while it is still held by the same owner
+const RENEW_LOCK = `
+    if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+    end
+    return 0
+`;
+
+const RELEASE_LOCK = `
+    if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('DEL', KEYS[1])
+    end
+    return 0
+`;
+
+// Works with any server speaking the Redis protocol (Redis, Valkey, KeyDB, ...)
+class RedisStorage {
+    constructor(options = {}) {
+        this.type = 'redis';
+        this.persistent = true;
+        this.prefix = options.prefix || 'argovisor:';
+        this.client = new Redis(options.redisUrl || 'redis://localhost:6379', {
+            keyPrefix: this.prefix,
+            maxRetriesPerRequest: 3
+        });
+        this.client.on('error', error => console.error(`Redis error: ${error.message}`));
+    }
+
+    async get(key) {
+        const value = await this.client.get(`kv:${key}`);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    async set(key, value) {
+        await this.client.set(`kv:${key}`, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        await this.client.del(`kv:${key}`);
+    }
+
+    // SCAN does not apply keyPrefix, so the pattern and the returned keys carry it
+    async list(prefix) {
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}kv:${prefix}*`, 'COUNT', 500);
+            keys.push(...batch.map(key => key.slice(this.prefix.length)));
+            cursor = next;
+        } while (cursor !== '0');
+
+        if (keys.length === 0) return [];
+        const values = await this.client.mget(keys.sort());
+        return values.filter(value => value !== null).map(value => JSON.parse(value));
+    }
+
+    async appendLog(name, entries) {
+        if (entries.length === 0) return;
+        await this.client.rpush(`log:${name}`, ...entries.map(entry => JSON.stringify(entry)));
+    }
+
+    async readLog(name) {
+        const entries = await this.client.lrange(`log:${name}`, 0, -1);
+        return entries.map(entry => JSON.parse(entry));
+    }
+
+    async replaceLog(name, entries) {
+        const transaction = this.client.multi().del(`log:${name}`);
+        if (entries.length > 0) {
+            transaction.rpush(`log:${name}`, ...entries.map(entry => JSON.stringify(entry)));
+        }
+        await transaction.exec();
+    }
+
+    async acquireLock(name, owner, ttlMs) {
+        const key = `lock:${name}`;
+        if (await this.client.set(key, owner, 'PX', ttlMs, 'NX') === 'OK') return true;
+        return await this.client.eval(RENEW_LOCK, 1, key, owner, ttlMs) === 1;
+    }
+
+    async releaseLock(name, owner) {
+        await this.client.eval(RELEASE_LOCK, 1, `lock:${name}`, owner);
+    }
+
+    async close() {
+        await this.client.quit();
+    }
+}
+
+module.exports = RedisStorage;
@@ -0,0 +1,96 @@
+// src/storage/SqliteStorage.js
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS logs (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, entry TEXT NOT NULL);
+    CREATE INDEX IF NOT EXISTS logs_name ON logs (name, id);
+    CREATE TABLE IF NOT EXISTS locks (name TEXT PRIMARY KEY, owner TEXT NOT NULL, expires_at INTEGER NOT NULL);
+`;
+
+// Instances on the same host can share the database file; WAL mode lets them read while one writes
+class SqliteStorage {
+    constructor(options = {}) {
+        this.type = 'sqlite';
+        this.persistent = true;
+        this.filePath = options.sqlitePath || './data/argovisor.db';
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            get: this.db.prepare('SELECT value FROM kv WHERE key = ?'),
+            set: this.db.prepare('INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+            delete: this.db.prepare('DELETE FROM kv WHERE key = ?'),
+            list: this.db.prepare('SELECT value FROM kv WHERE substr(key, 1, ?) = ? ORDER BY key'),
+            append: this.db.prepare('INSERT INTO logs (name, entry) VALUES (?, ?)'),
+            readLog: this.db.prepare('SELECT entry FROM logs WHERE name = ? ORDER BY id'),
+            clearLog: this.db.prepare('DELETE FROM logs WHERE name = ?'),
+            lock: this.db.prepare(`
+                INSERT INTO locks (name, owner, expires_at) VALUES (@name, @owner, @expiresAt)
+                ON CONFLICT (name) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at
+                WHERE locks.owner = excluded.owner OR locks.expires_at < @now
+            `),
+            unlock: this.db.prepare('DELETE FROM locks WHERE name = ? AND owner = ?')
+        };
+
+        this.appendEntries = this.db.transaction((name, entries) => {
+            entries.forEach(entry => this.statements.append.run(name, JSON.stringify(entry)));
+        });
+        this.replaceEntries = this.db.transaction((name, entries) => {
+            this.statements.clearLog.run(name);
+            entries.forEach(entry => this.statements.append.run(name, JSON.stringify(entry)));
+        });
+    }
+
+    async get(key) {
+        const row = this.statements.get.get(key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async set(key, value) {
+        this.statements.set.run(key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        this.statements.delete.run(key);
+    }
+
+    async list(prefix) {
+        return this.statements.list.all(prefix.length, prefix).map(row => JSON.parse(row.value));
+    }
+
+    async appendLog(name, entries) {
+        this.appendEntries(name, entries);
+    }
+
+    async readLog(name) {
+        return this.statements.readLog.all(name).map(row => JSON.parse(row.entry));
+    }
+
+    async replaceLog(name, entries) {
+        this.replaceEntries(name, entries);
+    }
+
+    async acquireLock(name, owner, ttlMs) {
+        const now = Date.now();
+        const result = this.statements.lock.run({ name, owner, expiresAt: now + ttlMs, now });
+        return result.changes > 0;
+    }
+
+    async releaseLock(name, owner) {
+        this.statements.unlock.run(name, owner);
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,27 @@
+// src/storage/index.js
+
+// Backends are loaded on demand so the drivers of unused ones are never required
+const STORAGE_BACKENDS = {
+    memory: () => require('./MemoryStorage'),
+    file: () => require('./FileStorage'),
+    sqlite: () => require('./SqliteStorage'),
+    redis: () => require('./RedisStorage')
+};
+
+function createStorage(options = {}) {
+    const backend = options.backend || 'memory';
+    const load = STORAGE_BACKENDS[backend];
+    if (!load) {
+        throw new Error(`Unknown storage backend ${backend}; use one of ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+    }
+
+    const Storage = load();
+    const storage = new Storage(options);
+    console.log(`Storage initialized - ${backend}`);
+    return storage;
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    createStorage
+};
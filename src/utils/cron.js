@@ -0,0 +1,129 @@
+// src/utils/cron.js
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const DESCRIPTORS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// minute, hour, day of month, month, day of week
+const FIELDS = [
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const parseCache = new Map();
+
+function parseValue(text, field, expression) {
+    const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const value = index !== -1 ? index + field.offset : Number(text);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid cron expression: ${expression}`);
+    }
+    return value;
+}
+
+function parseField(text, field, expression) {
+    const values = new Set();
+    text.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron expression: ${expression}`);
+
+        let [from, to] = [field.min, field.max];
+        if (range !== '*' && range !== '?') {
+            const [start, end] = range.split('-');
+            from = parseValue(start, field, expression);
+            to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field, expression);
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    });
+    return values;
+}
+
+// Standard five-field expressions with ranges, steps, lists, month and day names and the
+// @daily-style shortcuts. Parsed expressions are cached.
+function parseCron(expression) {
+    if (!parseCache.has(expression)) {
+        const fields = (DESCRIPTORS[expression.trim()] || expression).trim().split(/\s+/);
+        if (fields.length !== 5) throw new Error(`Invalid cron expression: ${expression}`);
+
+        const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseField(text, FIELDS[index], expression));
+        if (weekdays.has(7)) weekdays.add(0);
+        parseCache.set(expression, {
+            minutes: [...minutes].sort((a, b) => b - a),
+            hours: [...hours].sort((a, b) => b - a),
+            days,
+            months,
+            weekdays,
+            // As in cron, a restricted day of month and day of week match when either does
+            anyDay: fields[2] === '*' || fields[2] === '?',
+            anyWeekday: fields[4] === '*' || fields[4] === '?'
+        });
+    }
+    return parseCache.get(expression);
+}
+
+function dayMatches(cron, date) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) return false;
+    const day = cron.days.has(date.getUTCDate());
+    const weekday = cron.weekdays.has(date.getUTCDay());
+    if (cron.anyDay) return weekday;
+    if (cron.anyWeekday) return day;
+    return day || weekday;
+}
+
+// Latest time at or before `time` at which the expression fired, if it was less than `lookback`
+// ms ago; null otherwise. Times are wall-clock times expressed as UTC milliseconds, see wallClock().
+function previousFire(expression, time, lookback) {
+    const cron = parseCron(expression);
+    const today = Math.floor(time / DAY) * DAY;
+
+    for (let day = today; day >= time - lookback - DAY; day -= DAY) {
+        if (!dayMatches(cron, new Date(day))) continue;
+        for (const hour of cron.hours) {
+            for (const minute of cron.minutes) {
+                const fire = day + hour * 60 * MINUTE + minute * MINUTE;
+                if (fire <= time) return fire > time - lookback ? fire : null;
+            }
+        }
+    }
+    return null;
+}
+
+// The wall-clock time of a time zone as UTC milliseconds, so cron fields can be compared with UTC
+// getters. As in ArgoCD, schedules without a time zone are in UTC.
+function wallClock(time, timeZone) {
+    if (!timeZone || timeZone === 'UTC') return time;
+
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(time)).map(part => [part.type, Number(part.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+module.exports = {
+    parseCron,
+    previousFire,
+    wallClock
+};
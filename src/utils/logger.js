@@ -0,0 +1,56 @@
+// src/utils/logger.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+// Carries the request ID through everything an API request runs, including monitor calls
+const requestContext = new AsyncLocalStorage();
+
+const currentRequestId = () => requestContext.getStore()?.requestId || null;
+
+const LEVELS = {
+    debug: 'debug',
+    log: 'info',
+    info: 'info',
+    warn: 'warn',
+    error: 'error'
+};
+
+// Messages of the monitor start with the cluster they concern, e.g. "[CLUSTER_1] ..."
+const CLUSTER_PREFIX = /^\[([\w.-]+)\]\s*/;
+
+function toRecord(level, args) {
+    const error = args.find(arg => arg instanceof Error);
+    const message = util.format(...args.filter(arg => arg !== error));
+    const cluster = CLUSTER_PREFIX.exec(message);
+
+    const record = {
+        time: new Date().toISOString(),
+        level,
+        msg: cluster ? message.slice(cluster[0].length) : message
+    };
+    if (cluster) record.cluster = cluster[1];
+    const requestId = currentRequestId();
+    if (requestId) record.requestId = requestId;
+    if (error) record.error = { message: error.message, stack: error.stack };
+    return record;
+}
+
+// With format "json" every console call is written as one JSON object per line, so existing
+// log calls need no changes; "text" keeps the plain console output
+function configureLogging({ format = 'text' } = {}) {
+    if (format !== 'json') return;
+
+    Object.entries(LEVELS).forEach(([method, level]) => {
+        const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+        console[method] = (...args) => {
+            stream.write(`${JSON.stringify(toRecord(level, args))}\n`);
+        };
+    });
+}
+
+module.exports = {
+    requestContext,
+    currentRequestId,
+    configureLogging
+};
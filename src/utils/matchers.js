@@ -0,0 +1,116 @@
+// src/utils/matchers.js
+
+// Compiled patterns come from configuration; the oldest are dropped beyond this many
+const REGEX_CACHE_SIZE = 1000;
+const regexCache = new Map();
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+const isRegexPattern = pattern => REGEX_PATTERN.test(String(pattern));
+
+const cachedRegExp = (key, build) => {
+    if (!regexCache.has(key)) {
+        if (regexCache.size >= REGEX_CACHE_SIZE) {
+            regexCache.delete(regexCache.keys().next().value);
+        }
+        regexCache.set(key, build());
+    }
+    return regexCache.get(key);
+};
+
+const globToRegExp = glob => cachedRegExp(glob, () => {
+    const source = glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+});
+
+const toRegExp = pattern => {
+    const regex = REGEX_PATTERN.exec(pattern);
+    return regex ? cachedRegExp(pattern, () => new RegExp(regex[1], regex[2])) : globToRegExp(pattern);
+};
+
+const testPattern = (pattern, subject) => toRegExp(pattern).test(subject);
+
+// Matches a value against a glob ("web-*"), a /regex/, a negated pattern ("!*-test") or a list of them.
+// A list matches when any positive pattern matches and no negated pattern does. `test` matches a
+// single pattern; matchGlob keeps patterns from API requests to linear-time wildcards.
+function matchPattern(pattern, value, test = testPattern) {
+    if (pattern === undefined || pattern === null) return true;
+
+    const patterns = Array.isArray(pattern) ? pattern : [pattern];
+    const subject = value === undefined || value === null ? '' : String(value);
+    const negated = patterns.filter(p => String(p).startsWith('!')).map(p => String(p).slice(1));
+    const positive = patterns.filter(p => !String(p).startsWith('!')).map(String);
+
+    if (negated.some(p => test(p, subject))) return false;
+    return positive.length === 0 || positive.some(p => test(p, subject));
+}
+
+// Every key of the selector must match the corresponding label; values are patterns as above
+function matchLabels(selector, labels = {}, test = testPattern) {
+    if (!selector) return true;
+    return Object.entries(selector).every(([key, pattern]) =>
+        matchPattern(pattern, labels?.[key], test)
+    );
+}
+
+const applicationAttributes = (cluster, app) => ({
+    cluster,
+    project: app.spec?.project,
+    namespace: app.spec?.destination?.namespace,
+    app: app.name,
+    labels: app.metadata?.labels || {},
+    annotations: app.metadata?.annotations || {}
+});
+
+// Matches "*" and "?" wildcards without building a regular expression, in time proportional to
+// the lengths of pattern and value, so it is safe for patterns taken from API requests
+function matchGlob(pattern, value) {
+    const glob = String(pattern);
+    const text = value === undefined || value === null ? '' : String(value);
+    let p = 0;
+    let t = 0;
+    let star = -1;
+    let mark = 0;
+
+    while (t < text.length) {
+        if (p < glob.length && (glob[p] === '?' || glob[p] === text[t])) {
+            p++;
+            t++;
+        } else if (p < glob.length && glob[p] === '*') {
+            star = p++;
+            mark = t;
+        } else if (star !== -1) {
+            p = star + 1;
+            t = ++mark;
+        } else {
+            return false;
+        }
+    }
+    while (glob[p] === '*') p++;
+    return p === glob.length;
+}
+
+// Matches an application of a cluster against { cluster, project, namespace, app, labels, annotations }
+function matchApplication(match = {}, cluster, app, test = testPattern) {
+    const attributes = applicationAttributes(cluster, app);
+    return matchPattern(match.cluster, attributes.cluster, test) &&
+        matchPattern(match.project, attributes.project, test) &&
+        matchPattern(match.namespace, attributes.namespace, test) &&
+        matchPattern(match.app, attributes.app, test) &&
+        matchLabels(match.labels, attributes.labels, test) &&
+        matchLabels(match.annotations, attributes.annotations, test);
+}
+
+module.exports = {
+    REGEX_CACHE_SIZE,
+    regexCache,
+    isRegexPattern,
+    globToRegExp,
+    matchPattern,
+    matchGlob,
+    matchLabels,
+    matchApplication
+};
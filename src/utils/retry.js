@@ -0,0 +1,29 @@
+// src/utils/retry.js
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: a random delay up to baseDelay * 2^attempt, capped at
+// maxDelay, so clients that failed together do not retry in lockstep
+const backoffDelay = (attempt, { baseDelay = 500, maxDelay = 10000 } = {}) =>
+    Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+
+// Runs operation until it succeeds, shouldRetry rejects the error or the retries are used up
+async function retry(operation, { retries = 2, baseDelay, maxDelay, shouldRetry = () => true, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) throw error;
+
+            const delay = backoffDelay(attempt, { baseDelay, maxDelay });
+            if (onRetry) onRetry(error, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    sleep,
+    backoffDelay,
+    retry
+};
@@ -0,0 +1,61 @@
+// src/utils/time.js
+
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Parses durations such as "500ms", "30s", "5m", "1h30m" or "7d" into milliseconds
+function parseDuration(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+    if (/^\d+$/.test(value)) return Number(value);
+
+    const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g;
+    let total = 0;
+    let consumed = '';
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+        total += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+        consumed += match[0];
+    }
+
+    if (!consumed || consumed !== value.replace(/\s+/g, '')) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    return total;
+}
+
+// Accepts an ISO date, epoch milliseconds or a duration relative to now ("24h" = 24 hours ago)
+function parseTimestamp(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d{10,}$/.test(value)) return Number(value);
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return date;
+
+    return now - parseDuration(value);
+}
+
+// Renders milliseconds as the two largest units, e.g. "3h 12m" or "2d 4h"
+function formatDuration(ms) {
+    const units = [['d', DURATION_UNITS.d], ['h', DURATION_UNITS.h], ['m', DURATION_UNITS.m], ['s', DURATION_UNITS.s]];
+    const parts = [];
+    let rest = Math.max(0, ms);
+    units.forEach(([unit, size]) => {
+        const count = Math.floor(rest / size);
+        rest -= count * size;
+        if (count > 0 && parts.length < 2) parts.push(`${count}${unit}`);
+    });
+    return parts.length > 0 ? parts.join(' ') : '0s';
+}
+
+module.exports = {
+    parseDuration,
+    parseTimestamp,
+    formatDuration
+};
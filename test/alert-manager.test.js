@@ -0,0 +1,58 @@
+// test/alert-manager.test.js
+
+const AlertManager = require('../src/services/AlertManager');
+const { quiet, application } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const rule = { name: 'default', severity: 'warning' };
+
+describe('AlertManager', () => {
+    beforeEach(quiet);
+
+    test('notifies a problem once until the reminder interval passed', () => {
+        const manager = new AlertManager({ reminderInterval: 24 * HOUR });
+        const app = application('web', 'Degraded');
+        const now = Date.now();
+
+        const first = manager.reconcile('prod', rule, [app], [], now);
+        expect(first.problems).toHaveLength(1);
+        manager.markNotified(first.problems, now);
+
+        expect(manager.reconcile('prod', rule, [app], [], now + HOUR).problems).toHaveLength(0);
+
+        const reminder = manager.reconcile('prod', rule, [app], [], now + 25 * HOUR).problems;
+        expect(reminder).toHaveLength(1);
+        expect(reminder[0].alert.id).toBe(first.problems[0].alert.id);
+    });
+
+    test('resolves an alert once its app stops firing and reports notified ones as recovered', () => {
+        const manager = new AlertManager();
+        const { problems } = manager.reconcile('prod', rule, [application('web', 'Degraded')]);
+        manager.markNotified(problems);
+
+        const { recovered } = manager.reconcile('prod', rule, []);
+        expect(recovered).toHaveLength(1);
+        expect(recovered[0].alert.state).toBe('resolved');
+    });
+
+    test('keeps silenced alerts open without notifying', () => {
+        const manager = new AlertManager();
+        const app = application('web', 'Degraded');
+        const { problems } = manager.reconcile('prod', rule, [app]);
+        manager.markNotified(problems);
+
+        const result = manager.reconcile('prod', rule, [], [app]);
+        expect(result).toEqual({ problems: [], recovered: [] });
+    });
+
+    test('acknowledged alerts are not notified again', () => {
+        const manager = new AlertManager({ reminderInterval: HOUR });
+        const app = application('web', 'Degraded');
+        const now = Date.now();
+        const { problems } = manager.reconcile('prod', rule, [app], [], now);
+        manager.markNotified(problems, now);
+        manager.acknowledge(problems[0].alert.id, { by: 'oncall' });
+
+        expect(manager.reconcile('prod', rule, [app], [], now + 2 * HOUR).problems).toHaveLength(0);
+    });
+});
@@ -0,0 +1,108 @@
+// test/alert-rules.test.js
+
+const AlertRules = require('../src/services/AlertRules');
+const SilenceManager = require('../src/services/SilenceManager');
+const { matchPattern, regexCache, REGEX_CACHE_SIZE } = require('../src/utils/matchers');
+const { quiet, application } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const rule = { name: 'default', severity: 'warning' };
+
+describe('AlertRules', () => {
+    beforeEach(quiet);
+
+    test('fires a rule only after its "for" duration', () => {
+        const rules = new AlertRules({ rules: [{ name: 'degraded', match: { status: ['Degraded'] }, for: '10m' }] });
+        const result = { name: 'prod', applications: [application('web', 'Degraded')] };
+        const now = Date.now();
+
+        expect(rules.evaluate(result, now).get('degraded')).toHaveLength(0);
+        expect(rules.evaluate(result, now + 11 * 60 * 1000).get('degraded')).toHaveLength(1);
+        expect(rules.reasons('prod', 'web').map(reason => reason.reason)).toEqual(['Degraded']);
+    });
+
+    test('holds OutOfSync back while a deny window is active', () => {
+        const rules = new AlertRules();
+        const window = { kind: 'deny', schedule: '* * * * *', duration: '1h', applications: ['*'] };
+        const result = { name: 'prod', projects: [{ name: 'default', syncWindows: [window] }], applications: [application('web', 'Healthy', 'OutOfSync')] };
+        expect(rules.evaluate(result).get('default')).toHaveLength(0);
+        window.manualSync = true;
+        expect(rules.evaluate(result).get('default')).toHaveLength(1);
+    });
+});
+
+describe('matchPattern', () => {
+    test('matches globs, regular expressions, negations and lists', () => {
+        expect(matchPattern('web-*', 'web-1')).toBe(true);
+        expect(matchPattern('/^web-\\d+$/', 'web-12')).toBe(true);
+        expect(matchPattern(['*', '!*-test'], 'web-test')).toBe(false);
+        expect(matchPattern(undefined, 'anything')).toBe(true);
+    });
+
+    test('keeps a bounded number of compiled patterns', () => {
+        for (let index = 0; index < REGEX_CACHE_SIZE + 10; index++) {
+            matchPattern(`app-${index}-*`, 'app');
+        }
+        expect(regexCache.size).toBeLessThanOrEqual(REGEX_CACHE_SIZE);
+    });
+});
+
+describe('SilenceManager', () => {
+    beforeEach(quiet);
+
+    test('silences matching alerts while active', () => {
+        const silences = new SilenceManager();
+        const silence = silences.create({ matchers: { cluster: 'prod', app: 'web-*' }, duration: '1h', createdBy: 'oncall' });
+        const now = Date.now();
+
+        expect(silences.findSilence('prod', application('web-1'), rule, now)).toBe(silence);
+        expect(silences.findSilence('prod', application('api'), rule, now)).toBeNull();
+        expect(silences.findSilence('staging', application('web-1'), rule, now)).toBeNull();
+        expect(silences.findSilence('prod', application('web-1'), rule, now + 2 * HOUR)).toBeNull();
+    });
+
+    test('matches severity and rule', () => {
+        const silences = new SilenceManager();
+        silences.create({ matchers: { severity: 'info' }, duration: '1h' });
+
+        expect(silences.findSilence('prod', application('web'), { severity: 'warning', rule: 'default' })).toBeNull();
+        expect(silences.findSilence('prod', application('web'), { severity: 'info', rule: 'default' })).not.toBeNull();
+    });
+
+    test('an expired silence no longer applies', () => {
+        const silences = new SilenceManager();
+        const silence = silences.create({ matchers: { cluster: 'prod' }, duration: '1h' });
+        silences.expire(silence.id);
+
+        expect(silences.findSilence('prod', application('web'), rule, Date.now() + 1)).toBeNull();
+        expect(silences.list()).toHaveLength(0);
+    });
+
+    test('rejects silences without matchers or end', () => {
+        const silences = new SilenceManager();
+        expect(() => silences.create({ matchers: {}, duration: '1h' })).toThrow('At least one matcher is required');
+        expect(() => silences.create({ matchers: { cluster: 'prod' } })).toThrow('A valid endsAt or duration is required');
+    });
+
+    test('refuses regular expression matchers', () => {
+        const silences = new SilenceManager();
+        const refused = [
+            { app: '/^(a+)+$/' },
+            { app: ['web-*', '!/^test/'] },
+            { labels: { team: '/pay.*/i' } }
+        ];
+        refused.forEach(matchers => {
+            expect(() => silences.create({ matchers, duration: '1h' })).toThrow('not regular expressions');
+        });
+        expect(silences.list()).toHaveLength(0);
+    });
+
+    test('matches globs in linear time', () => {
+        const silences = new SilenceManager();
+        silences.create({ matchers: { app: `${'*a'.repeat(20)}c` }, duration: '1h' });
+
+        const started = Date.now();
+        expect(silences.findSilence('prod', application('a'.repeat(5000)), rule)).toBeNull();
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+});
@@ -0,0 +1,22 @@
+// test/application-filter.test.js
+
+const ApplicationFilter = require('../src/services/ApplicationFilter');
+const { quiet, application } = require('./helpers');
+
+const kept = (filter, names) => filter.apply('prod', names.map(name => application(name))).map(app => app.name);
+
+describe('ApplicationFilter', () => {
+    beforeEach(quiet);
+
+    test('hides argocd-initialize and every argocd-apps application by default', () => {
+        expect(kept(new ApplicationFilter(), ['web', 'argocd-apps', 'team-argocd-apps-prod', 'argocd-initialize']))
+            .toEqual(['web']);
+    });
+
+    test('replaces the defaults with the configured exclusions', () => {
+        expect(kept(new ApplicationFilter({ excludedApps: ['legacy-*'] }), ['web', 'legacy-api', 'argocd-apps']))
+            .toEqual(['web', 'argocd-apps']);
+        expect(kept(new ApplicationFilter({ rules: { include: [{ app: 'web*' }] } }), ['web', 'web-argocd-apps', 'api']))
+            .toEqual(['web', 'web-argocd-apps']);
+    });
+});
@@ -0,0 +1,101 @@
+// test/application-query.test.js
+
+const fs = require('fs');
+const config = require('../config/config');
+const { createApp, createMonitor } = require('../src/services/ArgoVisorApi');
+const { parseQuery, queryApplications, paginate } = require('../src/services/ApplicationQuery');
+const { quiet, temporaryDirectory, listen, application, clusterResult } = require('./helpers');
+
+const labelled = (name, labels, health = 'Healthy', project = 'default') =>
+    application(name, health, 'Synced', { metadata: { name, labels }, spec: { project, destination: { namespace: name } } });
+
+const clusters = [
+    clusterResult('prod', [
+        labelled('web', { team: 'shop', tier: 'web' }, 'Degraded'),
+        labelled('api', { team: 'shop', tier: 'api', canary: 'true' }),
+        labelled('legacy', { team: 'core', legacy: 'true' }, 'Missing', 'old')
+    ]),
+    clusterResult('staging', [labelled('web', { team: 'shop', tier: 'web' })])
+];
+
+const names = apps => apps.map(app => `${app.cluster}/${app.name}`);
+const select = query => names(queryApplications(clusters, parseQuery(query)));
+
+describe('ApplicationQuery', () => {
+    test('filters by label selector', () => {
+        expect(select({ selector: 'team=shop,tier in (web,api)' })).toEqual(['prod/web', 'prod/api', 'staging/web']);
+        expect(select({ selector: 'team!=shop' })).toEqual(['prod/legacy']);
+        expect(select({ selector: 'tier notin (web),!legacy' })).toEqual(['prod/api']);
+        expect(select({ selector: 'canary' })).toEqual(['prod/api']);
+        expect(select({ selector: ['team=shop', 'tier=web'] })).toEqual(['prod/web', 'staging/web']);
+        expect(() => parseQuery({ selector: 'tier in web' })).toThrow('Invalid label selector: tier in web');
+    });
+
+    test('filters by cluster, project, status and name', () => {
+        expect(select({ cluster: 'staging' })).toEqual(['staging/web']);
+        expect(select({ project: 'old' })).toEqual(['prod/legacy']);
+        expect(select({ health: 'Degraded,Missing' })).toEqual(['prod/web', 'prod/legacy']);
+        expect(select({ search: 'LEG' })).toEqual(['prod/legacy']);
+    });
+
+    test('sorts by a field, then by name', () => {
+        expect(select({ sort: 'name' })).toEqual(['prod/api', 'prod/legacy', 'prod/web', 'staging/web']);
+        expect(select({ sort: '-health' })).toEqual(['prod/legacy', 'prod/api', 'staging/web', 'prod/web']);
+        expect(() => parseQuery({ sort: 'size' })).toThrow('Unknown sort field size');
+    });
+
+    test('pages the results and projects fields', () => {
+        const options = parseQuery({ sort: 'name', page: '2', limit: '3', fields: 'healthStatus,metadata.labels.team' });
+        const result = paginate(options, queryApplications(clusters, options));
+
+        expect(result).toMatchObject({ total: 4, page: 2, limit: 3, pages: 2 });
+        expect(result.items).toEqual([{ name: 'web', cluster: 'staging', healthStatus: 'Healthy', metadata: { labels: { team: 'shop' } } }]);
+        expect(parseQuery({ limit: '10000' }).limit).toBe(500);
+        expect(parseQuery({}).paginated).toBe(false);
+    });
+
+    test('refuses repeated sorts and limits or pages that are not positive integers', () => {
+        expect(() => parseQuery({ sort: ['name', 'health'] })).toThrow('sort may only be given once');
+        ['abc', '-1', '0', '1.5', ['10', '20']].forEach(limit => {
+            expect(() => parseQuery({ limit })).toThrow(expect.objectContaining({ status: 400, message: 'limit must be a positive integer' }));
+        });
+        expect(() => parseQuery({ page: 'last' })).toThrow('page must be a positive integer');
+    });
+});
+
+describe('query parameters over HTTP', () => {
+    const directory = temporaryDirectory();
+    let monitor;
+    let server;
+
+    const status = async path => (await fetch(`${server.url}${path}`)).status;
+
+    beforeAll(async () => {
+        quiet();
+        const settings = { ...config, auth: { ...config.auth, disabled: true }, history: { ...config.history, directory } };
+        ({ monitor } = createMonitor(settings));
+        jest.spyOn(monitor, 'getGlobalState').mockReturnValue({ metrics: {}, clusters });
+        server = await listen(createApp({ config: settings, monitor, registry: {} }));
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await monitor.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('answer malformed values with a 400', async () => {
+        expect(await status('/applications?sort=name&sort=health')).toBe(400);
+        expect(await status('/applications?limit=abc')).toBe(400);
+        expect(await status('/deployments?limit=-1')).toBe(400);
+        expect(await status('/history?limit=abc')).toBe(400);
+        expect(await status('/audit?limit=0')).toBe(400);
+    });
+
+    test('serve well-formed queries', async () => {
+        const response = await fetch(`${server.url}/applications?selector=team%3Dshop&sort=-name&limit=2`);
+        expect(response.status).toBe(200);
+        expect(names((await response.json()).items)).toEqual(['prod/web', 'staging/web']);
+        expect(await status('/deployments?limit=5')).toBe(200);
+    });
+});
@@ -0,0 +1,132 @@
+// test/audit.test.js
+
+const fs = require('fs');
+const config = require('../config/config');
+const AuditLog = require('../src/services/AuditLog');
+const MemoryStorage = require('../src/storage/MemoryStorage');
+const { createApp, createMonitor } = require('../src/services/ArgoVisorApi');
+const { quiet, temporaryDirectory, listen } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('AuditLog', () => {
+    beforeEach(quiet);
+
+    test('redacts secrets at any depth of the parameters', async () => {
+        const audit = new AuditLog();
+        const entry = await audit.record({
+            action: 'cluster.update',
+            cluster: 'prod',
+            parameters: { url: 'https://argocd.example.com', notifications: [{ type: 'slack', webhookUrl: 'https://hooks.slack.com/x' }], auth: { token: 'abc', password: '' } }
+        });
+
+        expect(entry.parameters).toEqual({
+            url: 'https://argocd.example.com',
+            notifications: [{ type: 'slack', webhookUrl: '********' }],
+            auth: { token: '********', password: '' }
+        });
+        expect(entry).toMatchObject({ id: expect.any(String), timestamp: expect.any(String) });
+    });
+
+    test('prunes entries older than the retention and rewrites the stored log', async () => {
+        const storage = new MemoryStorage();
+        const now = Date.now();
+        await storage.appendLog('audit', [
+            { action: 'cluster.add', timestamp: new Date(now - 3 * DAY).toISOString() },
+            { action: 'refresh', timestamp: new Date(now - DAY).toISOString() }
+        ]);
+        const audit = new AuditLog({ storage, retentionDays: 2 });
+        await audit.load();
+        expect(audit.entries.map(entry => entry.action)).toEqual(['refresh']);
+
+        await audit.record({ action: 'cluster.sync' });
+        expect((await storage.readLog('audit')).map(entry => entry.action)).toEqual(['cluster.add', 'refresh', 'cluster.sync']);
+
+        jest.spyOn(Date, 'now').mockReturnValue(now + 1.5 * DAY);
+        await audit.record({ action: 'silence.create' });
+        Date.now.mockRestore();
+        expect((await storage.readLog('audit')).map(entry => entry.action)).toEqual(['cluster.sync', 'silence.create']);
+    });
+
+    test('queries most recent first within the clusters included', async () => {
+        const audit = new AuditLog();
+        await audit.record({ action: 'cluster.sync', cluster: 'prod', actor: 'jane', result: 'success' });
+        await audit.record({ action: 'refresh', cluster: null, actor: 'jane', result: 'success' });
+        await audit.record({ action: 'application.sync', cluster: 'dev', application: 'web', actor: 'joe', result: 'failure' });
+
+        expect(audit.query().map(entry => entry.action)).toEqual(['application.sync', 'refresh', 'cluster.sync']);
+        expect(audit.query({ actor: 'jane', limit: 1 }).map(entry => entry.action)).toEqual(['refresh']);
+        expect(audit.query({ result: 'failure' }).map(entry => entry.application)).toEqual(['web']);
+        expect(audit.query({ includeCluster: cluster => cluster === 'prod' }).map(entry => entry.action)).toEqual(['cluster.sync']);
+    });
+});
+
+describe('GET /audit', () => {
+    const directory = temporaryDirectory();
+    const API_KEYS = [
+        { name: 'scoped', key: 'scoped-key', role: 'operator', clusters: ['prod'] },
+        { name: 'admin', key: 'admin-key', role: 'admin' }
+    ];
+    const settings = {
+        ...config,
+        storage: { backend: 'memory' },
+        auth: { ...config.auth, disabled: false, apiKeysFile: undefined, apiKeys: API_KEYS },
+        history: { ...config.history, directory }
+    };
+    let monitor;
+    let server;
+
+    const request = (path, key, options = {}) => fetch(`${server.url}${path}`, {
+        ...options,
+        headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' }
+    });
+    const actions = async key => (await (await request('/audit', key)).json()).entries.map(entry => entry.action);
+    // Entries are recorded once the response is sent
+    const recorded = async count => {
+        while ((await monitor.audit.storage.readLog('audit')).length < count) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    };
+
+    beforeAll(async () => {
+        quiet();
+        ({ monitor } = createMonitor(settings));
+        monitor.clusters = { prod: { name: 'prod' }, dev: { name: 'dev' } };
+        monitor.forceRefresh = jest.fn().mockResolvedValue();
+        server = await listen(createApp({ config: settings, monitor, registry: { describe: name => ({ name }) } }));
+
+        await request('/refresh', 'admin-key', { method: 'POST' });
+        await request('/clusters/dev', 'admin-key', { method: 'DELETE', body: JSON.stringify({ password: 'secret' }) });
+        await request('/refresh', 'scoped-key', { method: 'POST' });
+        await request('/clusters/prod/sync', 'scoped-key', { method: 'POST', body: '{}' });
+        await recorded(4);
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await monitor.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('shows entries without a cluster only to callers not limited to some clusters', async () => {
+        expect(await actions('admin-key')).toEqual(['cluster.sync', 'refresh', 'cluster.remove', 'refresh']);
+        expect(await actions('scoped-key')).toEqual(['cluster.sync']);
+    });
+
+    test('records refused attempts and no body fields beyond the listed ones', () => {
+        const [, removal, refused] = monitor.audit.entries;
+        expect(removal).toMatchObject({ actor: 'admin', cluster: 'dev', parameters: { name: 'dev' } });
+        expect(refused).toMatchObject({ actor: 'scoped', action: 'refresh', result: 'denied', status: 403 });
+    });
+
+    test('keeps the log of the memory backend in a file across restarts', async () => {
+        const { monitor: restarted } = createMonitor(settings);
+        try {
+            await restarted.restore();
+            expect(restarted.audit.entries.map(entry => entry.action)).toEqual(['refresh', 'cluster.remove', 'refresh', 'cluster.sync']);
+            expect(fs.existsSync(`${directory}/audit.jsonl`)).toBe(true);
+        } finally {
+            await restarted.stop();
+        }
+    });
+});
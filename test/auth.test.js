@@ -0,0 +1,87 @@
+// test/auth.test.js
+
+const fs = require('fs');
+const { quiet, temporaryDirectory, listen } = require('./helpers');
+const config = require('../config/config');
+const { createApp, createMonitor } = require('../src/services/ArgoVisorApi');
+
+const API_KEYS = [
+    { name: 'viewer', key: 'viewer-key', role: 'viewer' },
+    { name: 'operator', key: 'operator-key', role: 'operator', clusters: ['prod-*'] },
+    { name: 'admin', key: 'admin-key', role: 'admin' }
+];
+
+describe('API authentication and roles', () => {
+    let directory;
+    let monitor;
+    let server;
+
+    const request = (path, key, options = {}) => fetch(`${server.url}${path}`, {
+        ...options,
+        headers: { ...(key ? { Authorization: `Bearer ${key}` } : {}), 'Content-Type': 'application/json' }
+    });
+
+    beforeAll(async () => {
+        quiet();
+        directory = temporaryDirectory();
+        const settings = {
+            ...config,
+            auth: { ...config.auth, disabled: false, apiKeys: API_KEYS, apiKeysFile: undefined },
+            history: { ...config.history, directory }
+        };
+        ({ monitor } = createMonitor(settings));
+        monitor.clusters = { 'prod-eu': { name: 'prod-eu' }, staging: { name: 'staging' } };
+        server = await listen(createApp({ config: settings, monitor, registry: { describe: name => ({ name }) } }));
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await monitor.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('the health check is public', async () => {
+        expect((await request('/test')).status).toBe(200);
+    });
+
+    test('other routes require a known key', async () => {
+        const missing = await request('/status');
+        expect(missing.status).toBe(401);
+        expect(missing.headers.get('www-authenticate')).toBe('Bearer');
+        expect((await request('/status', 'wrong-key')).status).toBe(401);
+        expect((await request('/status', 'viewer-key')).status).toBe(200);
+    });
+
+    test('the X-API-Key header is accepted too', async () => {
+        const response = await fetch(`${server.url}/status`, { headers: { 'X-API-Key': 'viewer-key' } });
+        expect(response.status).toBe(200);
+    });
+
+    test('viewers cannot take actions', async () => {
+        const response = await request('/silences', 'viewer-key', { method: 'POST', body: '{}' });
+        expect(response.status).toBe(403);
+        expect(await response.json()).toEqual({ error: 'Requires the operator role' });
+    });
+
+    test('operators are limited to their clusters', async () => {
+        const clusters = await (await request('/clusters', 'operator-key')).json();
+        expect(clusters.map(cluster => cluster.name)).toEqual(['prod-eu']);
+
+        expect((await request('/clusters/staging', 'operator-key')).status).toBe(403);
+        expect((await request('/refresh', 'operator-key', { method: 'POST' })).status).toBe(403);
+    });
+
+    test('only admins manage clusters', async () => {
+        const body = JSON.stringify({ name: 'new', url: 'https://argocd.example.com' });
+        expect((await request('/clusters', 'operator-key', { method: 'POST', body })).status).toBe(403);
+        expect((await request('/audit', 'operator-key')).status).toBe(200);
+        expect((await request('/clusters', 'admin-key')).status).toBe(200);
+    });
+
+    test('admins can refresh every cluster', async () => {
+        monitor.forceRefresh = jest.fn().mockResolvedValue();
+        const response = await request('/refresh', 'admin-key', { method: 'POST' });
+        expect(response.status).toBe(200);
+        expect(monitor.forceRefresh).toHaveBeenCalled();
+    });
+});
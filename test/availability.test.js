@@ -0,0 +1,46 @@
+// test/availability.test.js
+
+const HistoryStore = require('../src/services/HistoryStore');
+const { buildAvailabilityReport } = require('../src/services/AvailabilityReport');
+const { quiet, application, clusterResult: cluster } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+const at = time => new Date(time).toISOString();
+
+describe('availability report', () => {
+    beforeEach(quiet);
+
+    test('counts degraded time as downtime', async () => {
+        const history = new HistoryStore();
+        const now = Date.now();
+        await history.record([cluster('prod', [application('web')])], at(now - 4 * HOUR));
+        await history.record([cluster('prod', [application('web', 'Degraded')])], at(now - HOUR));
+        const state = { clusters: [cluster('prod', [application('web', 'Degraded')])] };
+
+        const report = buildAvailabilityReport(history, state, { from: now - 4 * HOUR, to: now });
+        expect(report.applications[0]).toMatchObject({ availabilityPercent: 75, incidents: 1, unavailableMs: HOUR });
+        expect(report.clusters[0]).toMatchObject({ name: 'prod', availabilityPercent: 75, unavailable: 1 });
+    });
+
+    test('measures applications from their state at the start of the period', async () => {
+        const history = new HistoryStore();
+        const now = Date.now();
+        history.apply({
+            timestamp: at(now - HOUR),
+            type: 'changed',
+            cluster: 'prod',
+            application: 'web',
+            healthStatus: 'Healthy',
+            syncStatus: 'Synced',
+            previousHealthStatus: 'Degraded',
+            previousSyncStatus: 'Synced'
+        });
+        const state = { clusters: [cluster('prod', [application('web'), application('api', 'Missing')])] };
+
+        const report = buildAvailabilityReport(history, state, { from: now - 4 * HOUR, to: now });
+        const byName = Object.fromEntries(report.applications.map(app => [app.application, app]));
+        expect(byName.web).toMatchObject({ availabilityPercent: 25, observedMs: 4 * HOUR });
+        expect(byName.api).toMatchObject({ availabilityPercent: 0, healthStatus: 'Missing' });
+    });
+});
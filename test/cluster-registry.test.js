@@ -0,0 +1,124 @@
+// test/cluster-registry.test.js
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config/config');
+const ClusterRegistry = require('../src/services/ClusterRegistry');
+const { createApp, createMonitor } = require('../src/services/ArgoVisorApi');
+const { quiet, temporaryDirectory, listen } = require('./helpers');
+
+describe('ClusterRegistry', () => {
+    let directory;
+
+    beforeEach(() => {
+        quiet();
+        directory = temporaryDirectory();
+        process.env.ARGOVISOR_TEST_PASSWORD = 'from-env';
+    });
+
+    afterEach(() => {
+        delete process.env.ARGOVISOR_TEST_PASSWORD;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('expands references in files and redacts secrets', () => {
+        const file = path.join(directory, 'clusters.yaml');
+        fs.writeFileSync(file, yaml.dump({ clusters: {
+            prod: { url: 'https://prod.example.com', username: 'admin', password: '${ARGOVISOR_TEST_PASSWORD}' },
+            broken: { username: 'admin' }
+        } }));
+        const registry = new ClusterRegistry({ file });
+
+        expect(Object.keys(registry.load())).toEqual(['prod']);
+        expect(registry.get('prod').password).toBe('from-env');
+        expect(registry.describe('prod')).toEqual({
+            name: 'prod', url: 'https://prod.example.com', username: 'admin', password: '********', source: file
+        });
+    });
+
+    test('writes API changes back literally and keeps omitted secrets', async () => {
+        const file = path.join(directory, 'clusters.json');
+        fs.writeFileSync(file, JSON.stringify({ prod: { url: 'https://prod.example.com', password: '${ARGOVISOR_TEST_PASSWORD}' } }));
+        const registry = new ClusterRegistry({ file });
+        registry.load();
+
+        await registry.add('dev', { url: 'https://dev.example.com', password: '${ARGOVISOR_TEST_PASSWORD}' });
+        expect(registry.get('dev').password).toBe('${ARGOVISOR_TEST_PASSWORD}');
+        await registry.update('prod', { username: 'ops' });
+        expect(registry.get('prod')).toMatchObject({ username: 'ops', password: 'from-env' });
+
+        const reloaded = new ClusterRegistry({ file });
+        reloaded.load();
+        expect(reloaded.get('dev').password).toBe('${ARGOVISOR_TEST_PASSWORD}');
+        expect(reloaded.get('prod').password).toBe('from-env');
+    });
+
+    test('keeps one file per cluster added to a directory', async () => {
+        const registry = new ClusterRegistry({ directory });
+        registry.load();
+
+        await registry.add('dev', { url: 'https://dev.example.com' });
+        expect(yaml.load(fs.readFileSync(path.join(directory, 'dev.yaml'), 'utf8'))).toEqual({ clusters: { dev: { url: 'https://dev.example.com' } } });
+        await registry.remove('dev');
+        expect(fs.readdirSync(directory)).toEqual([]);
+    });
+
+    test('refuses invalid, duplicate and file-reading definitions', async () => {
+        const registry = new ClusterRegistry({ validator: (name, definition) => new URL(definition.url) });
+        registry.load();
+        await registry.add('dev', { url: 'https://dev.example.com' });
+
+        await expect(registry.add('dev', { url: 'https://dev.example.com' })).rejects.toMatchObject({ status: 409 });
+        await expect(registry.add('../etc', { url: 'https://dev.example.com' })).rejects.toMatchObject({ status: 400 });
+        await expect(registry.add('test', { username: 'admin' })).rejects.toThrow('Cluster url is required');
+        await expect(registry.add('test', { url: 'not a url' })).rejects.toThrow('Invalid cluster test: Invalid URL');
+        await expect(registry.add('test', { url: 'https://test.example.com', auth: { tokenFile: '/etc/shadow' } }))
+            .rejects.toMatchObject({ status: 400, message: 'tokenFile cannot be set through the API; pass the PEM or token inline' });
+        await expect(registry.update('dev', { tls: { caFile: '/etc/ssl/private/key.pem' } })).rejects.toMatchObject({ status: 400 });
+        expect(registry.get('dev').tls).toBeUndefined();
+    });
+});
+
+describe('POST /clusters', () => {
+    const directory = temporaryDirectory();
+    let monitor;
+    let server;
+
+    const post = body => fetch(`${server.url}/clusters`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer scoped-admin-key', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    beforeAll(async () => {
+        quiet();
+        const settings = {
+            ...config,
+            auth: { ...config.auth, disabled: false, apiKeysFile: undefined, apiKeys: [{ name: 'scoped', key: 'scoped-admin-key', role: 'admin', clusters: ['dev-*'] }] },
+            clusterRegistry: { directory },
+            history: { ...config.history, directory }
+        };
+        let registry;
+        ({ monitor, registry } = createMonitor(settings));
+        server = await listen(createApp({ config: settings, monitor, registry }));
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await monitor.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('answers a body without a name with a 400 before checking access', async () => {
+        const response = await post({ url: 'https://dev.example.com' });
+        expect(response.status).toBe(400);
+        expect((await response.json()).error).toMatch('Cluster name may only contain');
+    });
+
+    test('limits cluster-scoped admins to their clusters', async () => {
+        expect((await post({ name: 'prod', url: 'https://prod.example.com' })).status).toBe(403);
+        expect((await post({ name: 'dev-eu', url: 'https://dev.example.com', username: 'admin', password: 'secret' })).status).toBe(201);
+        expect(Object.keys(monitor.clusters)).toContain('dev-eu');
+    });
+});
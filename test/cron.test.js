@@ -0,0 +1,90 @@
+// test/cron.test.js
+
+const { parseCron, previousFire, wallClock } = require('../src/utils/cron');
+const { windowActive, syncBlocked } = require('../src/services/AlertConditions');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const at = text => Date.parse(`${text}Z`);
+
+describe('parseCron', () => {
+    test('expands ranges, steps, lists and names', () => {
+        const cron = parseCron('0,30 9-17/4 1-3 jan,Jun mon-fri');
+        expect(cron.minutes).toEqual([30, 0]);
+        expect(cron.hours).toEqual([17, 13, 9]);
+        expect([...cron.days]).toEqual([1, 2, 3]);
+        expect([...cron.months]).toEqual([1, 6]);
+        expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+        expect(parseCron('*/20 * * * *').minutes).toEqual([40, 20, 0]);
+        expect(parseCron('5/20 * * * *').minutes).toEqual([45, 25, 5]);
+    });
+
+    test('treats day 7 as Sunday and expands descriptors', () => {
+        expect(parseCron('0 0 * * 7').weekdays.has(0)).toBe(true);
+        expect(parseCron('@daily')).toMatchObject({ minutes: [0], hours: [0], anyDay: true, anyWeekday: true });
+    });
+
+    test('refuses malformed expressions', () => {
+        ['* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '*/0 * * * *', '* * * foo *', '@often'].forEach(expression => {
+            expect(() => parseCron(expression)).toThrow(`Invalid cron expression: ${expression}`);
+        });
+    });
+});
+
+describe('previousFire', () => {
+    test('finds the latest fire within the lookback', () => {
+        const now = at('2024-05-15T10:20:00');
+        expect(previousFire('*/15 * * * *', now, HOUR)).toBe(at('2024-05-15T10:15:00'));
+        expect(previousFire('0 22 * * *', now, DAY)).toBe(at('2024-05-14T22:00:00'));
+        expect(previousFire('0 22 * * *', now, 12 * HOUR)).toBeNull();
+        expect(previousFire('20 10 * * *', now, MINUTE)).toBe(now);
+    });
+
+    test('matches either a restricted day of month or a restricted day of week', () => {
+        // 2024-05-15 is a Wednesday
+        const now = at('2024-05-15T12:00:00');
+        expect(previousFire('0 0 1 * wed', now, DAY)).toBe(at('2024-05-15T00:00:00'));
+        expect(previousFire('0 0 15 * mon', now, DAY)).toBe(at('2024-05-15T00:00:00'));
+        expect(previousFire('0 0 1 * mon', now, DAY)).toBeNull();
+        expect(previousFire('0 0 15 * *', now, DAY)).toBe(at('2024-05-15T00:00:00'));
+        expect(previousFire('0 0 * * mon', now, DAY)).toBeNull();
+    });
+
+    test('honours months across year boundaries', () => {
+        expect(previousFire('0 12 31 dec *', at('2025-01-01T06:00:00'), DAY)).toBe(at('2024-12-31T12:00:00'));
+        expect(previousFire('0 12 * feb *', at('2025-01-01T06:00:00'), 30 * DAY)).toBeNull();
+    });
+});
+
+describe('wallClock', () => {
+    test('uses UTC unless a time zone is given', () => {
+        const now = at('2024-05-15T10:20:00');
+        expect(wallClock(now)).toBe(now);
+        expect(wallClock(now, 'UTC')).toBe(now);
+        expect(wallClock(now, 'Asia/Tokyo')).toBe(at('2024-05-15T19:20:00'));
+        expect(wallClock(now, 'America/New_York')).toBe(at('2024-05-15T06:20:00'));
+    });
+});
+
+describe('sync windows', () => {
+    const deny = (extra = {}) => ({ kind: 'deny', schedule: '0 9 * * *', duration: '2h', applications: ['*'], ...extra });
+    const app = { name: 'web', spec: { destination: {} } };
+
+    test('are active for their duration in their time zone, or UTC', () => {
+        expect(windowActive(deny(), at('2024-05-15T10:00:00'))).toBe(true);
+        expect(windowActive(deny(), at('2024-05-15T11:30:00'))).toBe(false);
+        expect(windowActive(deny({ timeZone: 'Asia/Tokyo' }), at('2024-05-15T01:00:00'))).toBe(true);
+        expect(windowActive(deny({ timeZone: 'Asia/Tokyo' }), at('2024-05-15T10:00:00'))).toBe(false);
+        expect(windowActive(deny({ schedule: 'nonsense' }), at('2024-05-15T10:00:00'))).toBe(false);
+    });
+
+    test('block syncs unless they let manual syncs through', () => {
+        const now = at('2024-05-15T10:00:00');
+        expect(syncBlocked(app, { syncWindows: [deny()] }, now)).toBe(true);
+        expect(syncBlocked(app, { syncWindows: [deny({ manualSync: true })] }, now)).toBe(false);
+        expect(syncBlocked(app, { syncWindows: [deny({ applications: ['api'] })] }, now)).toBe(false);
+        expect(syncBlocked(app, { syncWindows: [{ ...deny(), kind: 'allow' }] }, now + 3 * HOUR)).toBe(true);
+        expect(syncBlocked(app, { syncWindows: [{ ...deny(), kind: 'allow' }] }, now)).toBe(false);
+    });
+});
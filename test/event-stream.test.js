@@ -0,0 +1,80 @@
+// test/event-stream.test.js
+
+const EventEmitter = require('events');
+const EventStream = require('../src/services/EventStream');
+const { quiet } = require('./helpers');
+
+describe('EventStream', () => {
+    let monitor;
+    let stream;
+
+    // A client connection; events() lists the types of the events written to it
+    const connect = (query = {}, allow, lastEventId) => {
+        const req = new EventEmitter();
+        req.query = query;
+        req.get = header => header === 'Last-Event-ID' ? lastEventId : undefined;
+        const res = { writeHead: jest.fn(), write: jest.fn(), end: jest.fn() };
+        stream.handle(req, res, allow);
+        return {
+            req,
+            events: () => res.write.mock.calls
+                .map(([chunk]) => /^event: (.+)$/m.exec(chunk))
+                .filter(Boolean)
+                .map(match => match[1])
+        };
+    };
+
+    const emit = (type, cluster) => monitor.emit('change', { type, cluster });
+
+    beforeEach(() => {
+        quiet();
+        monitor = new EventEmitter();
+        stream = new EventStream(monitor);
+    });
+
+    afterEach(() => stream.close());
+
+    test('filters by cluster and type, as lists or repeated parameters', () => {
+        const all = connect();
+        const listed = connect({ cluster: 'prod,staging', types: 'app.health' });
+        const repeated = connect({ cluster: ['prod', 'staging'], types: ['app.health', 'cluster.unreachable'] });
+
+        emit('app.health', 'prod');
+        emit('app.sync', 'prod');
+        emit('app.health', 'dev');
+        emit('cluster.unreachable', 'staging');
+        emit('app.health', 'staging');
+
+        expect(all.events()).toHaveLength(5);
+        expect(listed.events()).toEqual(['app.health', 'app.health']);
+        expect(repeated.events()).toEqual(['app.health', 'cluster.unreachable', 'app.health']);
+    });
+
+    test('hides the events the caller may not see', () => {
+        const scoped = connect({}, event => event.cluster === 'prod');
+        emit('app.health', 'prod');
+        emit('app.health', 'dev');
+        emit('refresh');
+
+        expect(scoped.events()).toEqual(['app.health']);
+    });
+
+    test('replays missed events to reconnecting clients', () => {
+        emit('app.health', 'prod');
+        emit('app.sync', 'prod');
+        emit('app.health', 'dev');
+        emit('app.sync', 'dev');
+
+        const reconnected = connect({ cluster: 'dev' }, undefined, '2');
+        expect(reconnected.events()).toEqual(['app.health', 'app.sync']);
+    });
+
+    test('stops writing to clients that disconnected', () => {
+        const client = connect();
+        client.req.emit('close');
+        emit('app.health', 'prod');
+
+        expect(client.events()).toEqual([]);
+        expect(stream.clients.size).toBe(0);
+    });
+});
@@ -0,0 +1,49 @@
+// test/helpers.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The services log every step; tests only show what they assert on
+function quiet() {
+    ['log', 'info', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+}
+
+function temporaryDirectory() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'argovisor-test-'));
+}
+
+// Serves an Express app on a free port
+async function listen(app) {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+const application = (name, healthStatus = 'Healthy', syncStatus = 'Synced', extra = {}) => ({
+    name,
+    healthStatus,
+    syncStatus,
+    metadata: { name },
+    spec: { project: 'default' },
+    status: {},
+    ...extra
+});
+
+// A cluster result as a refresh cycle produces it
+const clusterResult = (name, applications, extra = {}) => ({ name, applications, health: { reachable: true }, ...extra });
+
+module.exports = {
+    quiet,
+    temporaryDirectory,
+    listen,
+    application,
+    clusterResult
+};
@@ -0,0 +1,68 @@
+// test/history.test.js
+
+const HistoryStore = require('../src/services/HistoryStore');
+const MemoryStorage = require('../src/storage/MemoryStorage');
+const { quiet, application, clusterResult: cluster } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const at = time => new Date(time).toISOString();
+
+describe('HistoryStore', () => {
+    beforeEach(quiet);
+
+    test('records added, changed and removed applications', async () => {
+        const history = new HistoryStore();
+        await history.record([cluster('prod', [application('web'), application('api')])]);
+        await history.record([cluster('prod', [application('web', 'Degraded')])]);
+
+        expect(history.entries.map(entry => `${entry.type} ${entry.application}`)).toEqual([
+            'added web', 'added api', 'changed web', 'removed api'
+        ]);
+        expect(history.lastKnown.get('prod/web').healthStatus).toBe('Degraded');
+    });
+
+    test('keeps the apps of an unreachable cluster', async () => {
+        const history = new HistoryStore();
+        await history.record([cluster('prod', [application('web')])]);
+        await history.record([cluster('prod', [], { health: { reachable: false } })]);
+
+        expect(history.entries).toHaveLength(1);
+    });
+
+    test('prunes old transitions but keeps the latest one of each application', async () => {
+        const history = new HistoryStore({ retentionDays: 1 });
+        const now = Date.now();
+        await history.record([cluster('prod', [application('web'), application('api')])], at(now - 3 * DAY));
+        await history.record([cluster('prod', [application('web', 'Degraded'), application('api')])], at(now - 2 * DAY));
+        await history.record([cluster('prod', [application('web'), application('api')])], at(now - HOUR));
+
+        expect(history.entries.map(entry => `${entry.type} ${entry.application} ${entry.healthStatus}`)).toEqual([
+            'added api Healthy',
+            'changed web Healthy'
+        ]);
+    });
+
+    test('restores the last known state from the storage', async () => {
+        const storage = new MemoryStorage();
+        storage.persistent = true;
+        const history = new HistoryStore({ storage, retentionDays: 1 });
+        await history.record([cluster('prod', [application('web', 'Degraded')])], at(Date.now() - 3 * DAY));
+
+        const restored = new HistoryStore({ storage, retentionDays: 1 });
+        await restored.load();
+        expect(restored.lastKnown.get('prod/web').healthStatus).toBe('Degraded');
+    });
+
+    test('annotates each state of an application with its duration', async () => {
+        const history = new HistoryStore();
+        const now = Date.now();
+        await history.record([cluster('prod', [application('web')])], at(now - 2 * HOUR));
+        await history.record([cluster('prod', [application('web', 'Degraded')])], at(now - HOUR));
+
+        const { transitions } = history.getApplicationHistory('prod', 'web');
+        expect(transitions[0].durationMs).toBe(HOUR);
+        expect(transitions[1].until).toBeNull();
+    });
+});
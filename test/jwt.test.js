@@ -0,0 +1,65 @@
+// test/jwt.test.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JwtAuthenticator = require('../src/auth/JwtAuthenticator');
+const { temporaryDirectory } = require('./helpers');
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('JwtAuthenticator', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const directory = temporaryDirectory();
+    const jwksFile = path.join(directory, 'jwks.json');
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test' }] }));
+
+    const sign = payload => {
+        const unsigned = `${encode({ alg: 'EdDSA', kid: 'test' })}.${encode(payload)}`;
+        return `${unsigned}.${crypto.sign(null, Buffer.from(unsigned), privateKey).toString('base64url')}`;
+    };
+    const now = () => Math.floor(Date.now() / 1000);
+
+    afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('accepts a signed token that has not expired', async () => {
+        const jwt = new JwtAuthenticator({ jwksFile });
+        const payload = await jwt.verify(sign({ sub: 'alice', exp: now() + 300 }));
+        expect(payload.sub).toBe('alice');
+    });
+
+    test('refuses expired tokens and tokens without exp', async () => {
+        const jwt = new JwtAuthenticator({ jwksFile });
+        await expect(jwt.verify(sign({ sub: 'alice', exp: now() - 3600 }))).rejects.toThrow('Token expired');
+        await expect(jwt.verify(sign({ sub: 'alice' }))).rejects.toThrow('Token has no expiry');
+    });
+
+    test('refuses tokens valid for longer than the maximum age', async () => {
+        const jwt = new JwtAuthenticator({ jwksFile, maxTokenAge: 60 * 60 * 1000 });
+        await expect(jwt.verify(sign({ sub: 'alice', exp: now() + 86400 }))).rejects.toThrow('Token is valid for too long');
+        await expect(jwt.verify(sign({ sub: 'alice', exp: now() + 600 }))).resolves.toMatchObject({ sub: 'alice' });
+    });
+
+    test('grants no cluster to tokens without the clusters claim unless configured', async () => {
+        const normalizeUser = user => user;
+        const highestRole = roles => roles[0];
+        const token = sign({ sub: 'alice', roles: ['viewer'], exp: now() + 300 });
+
+        const strict = new JwtAuthenticator({ jwksFile }, normalizeUser);
+        expect((await strict.authenticate(token, highestRole)).clusters).toEqual([]);
+        const scoped = sign({ sub: 'alice', roles: ['viewer'], clusters: 'prod-*,staging', exp: now() + 300 });
+        expect((await strict.authenticate(scoped, highestRole)).clusters).toEqual(['prod-*', 'staging']);
+
+        const fallback = new JwtAuthenticator({ jwksFile, defaultClusters: 'dev-*' }, normalizeUser);
+        expect((await fallback.authenticate(token, highestRole)).clusters).toEqual(['dev-*']);
+        const open = new JwtAuthenticator({ jwksFile, defaultClusters: '*' }, normalizeUser);
+        expect((await open.authenticate(token, highestRole)).clusters).toBeNull();
+    });
+
+    test('refuses tokens with a forged signature', async () => {
+        const jwt = new JwtAuthenticator({ jwksFile });
+        const [header, , signature] = sign({ sub: 'alice', exp: now() + 300 }).split('.');
+        const forged = `${header}.${encode({ sub: 'mallory', exp: now() + 300 })}.${signature}`;
+        await expect(jwt.verify(forged)).rejects.toThrow('Invalid token signature');
+    });
+});
@@ -0,0 +1,74 @@
+// test/lifecycle.test.js
+
+const fs = require('fs');
+const { quiet, temporaryDirectory, listen } = require('./helpers');
+
+const directory = temporaryDirectory();
+process.env.STORAGE_DIR = directory;
+
+const config = require('../config/config');
+const { start, createApp, createMonitor } = require('../index');
+
+describe('lifecycle', () => {
+    beforeEach(quiet);
+    afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('createApp does not listen or start polling', async () => {
+        const { monitor, registry } = createMonitor(config);
+        const app = createApp({ monitor, registry });
+
+        expect(app.locals.monitor).toBe(monitor);
+        expect(monitor.refreshTimer).toBeFalsy();
+
+        const server = await listen(app);
+        const response = await fetch(`${server.url}/test`);
+        expect(response.status).toBe(200);
+        await server.close();
+        await monitor.stop();
+    });
+
+    test('the monitor refreshes on start and clears its timers on stop', async () => {
+        const { monitor } = createMonitor(config);
+
+        await monitor.start();
+        expect(monitor.refreshTimer).toBeTruthy();
+        expect(monitor.getGlobalState().lastUpdate).not.toBeNull();
+
+        await monitor.stop();
+        expect(monitor.refreshTimer).toBeNull();
+        await expect(monitor.start()).rejects.toThrow('cannot be started again');
+    });
+
+    test('stop waits for the running refresh', async () => {
+        const { monitor } = createMonitor(config);
+        let finish;
+        monitor.runRefresh = () => new Promise(resolve => {
+            finish = resolve;
+        });
+
+        monitor.refreshData();
+        let stopped = false;
+        const stopping = monitor.stop().then(() => {
+            stopped = true;
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(stopped).toBe(false);
+
+        finish();
+        await stopping;
+        expect(stopped).toBe(true);
+    });
+
+    test('start serves the API and stop drains it', async () => {
+        const instance = start({ port: 0 });
+        await new Promise(resolve => instance.server.once('listening', resolve));
+        const { port } = instance.server.address();
+
+        const response = await fetch(`http://127.0.0.1:${port}/test`);
+        expect(response.status).toBe(200);
+
+        await instance.stop();
+        expect(instance.server.listening).toBe(false);
+        expect(instance.monitor.stopped).toBe(true);
+    });
+});
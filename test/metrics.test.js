@@ -0,0 +1,85 @@
+// test/metrics.test.js
+
+const fs = require('fs');
+const config = require('../config/config');
+const { createApp, createMonitor } = require('../src/services/ArgoVisorApi');
+const { renderMetrics } = require('../src/services/MetricsExporter');
+const { quiet, temporaryDirectory, listen, application, clusterResult } = require('./helpers');
+
+const stats = { lastRefreshDuration: 1500, refreshCount: 3, refreshErrors: 1, clusters: { prod: { fetchErrors: 2, tokenRefreshes: 1 } } };
+const state = { lastUpdate: '2024-05-15T10:00:00.000Z' };
+const clusters = [clusterResult('prod', [
+    application('web', 'Degraded', 'OutOfSync', { spec: { project: 'shop', destination: { namespace: 'web' } } }),
+    application('say "hi"\\', 'Healthy', 'Synced', { status: { operationState: { phase: 'Running' } } })
+], { health: { reachable: true, consecutiveFailures: 0, latencyMs: 250 } })];
+
+describe('renderMetrics', () => {
+    test('renders the Prometheus text format', () => {
+        const text = renderMetrics(clusters, stats, state);
+        const lines = text.split('\n');
+
+        expect(lines).toContain('argovisor_app_health_status{cluster="prod",project="shop",namespace="web",app="web",status="Degraded"} 1');
+        expect(lines).toContain('argovisor_app_health_status{cluster="prod",project="shop",namespace="web",app="web",status="Healthy"} 0');
+        expect(lines).toContain('argovisor_apps{cluster="prod",project="shop",namespace="web",health_status="Degraded",sync_status="OutOfSync"} 1');
+        expect(lines).toContain('argovisor_app_operation_phase{cluster="prod",project="default",namespace="",app="say \\"hi\\"\\\\",phase="Running"} 1');
+        expect(lines).toContain('argovisor_cluster_fetch_latency_seconds{cluster="prod"} 0.25');
+        expect(lines).toContain('# TYPE argovisor_refreshes_total counter');
+        expect(lines).toContain('argovisor_refreshes_total 3');
+        expect(lines).toContain('argovisor_cluster_fetch_errors_total{cluster="prod"} 2');
+        expect(lines).toContain('argovisor_last_refresh_timestamp_seconds 1715767200');
+        expect(text.endsWith('\n')).toBe(true);
+        expect(text).not.toContain('# EOF');
+    });
+
+    test('renders OpenMetrics with counter families named without _total', () => {
+        const lines = renderMetrics(clusters, stats, state, 'openmetrics').split('\n');
+
+        expect(lines).toContain('# TYPE argovisor_refreshes counter');
+        expect(lines).toContain('argovisor_refreshes_total 3');
+        expect(lines.slice(-2)).toEqual(['# EOF', '']);
+    });
+});
+
+describe('GET /metrics', () => {
+    const directory = temporaryDirectory();
+    let monitor;
+    let server;
+
+    beforeAll(async () => {
+        quiet();
+        const settings = { ...config, auth: { ...config.auth, disabled: true }, history: { ...config.history, directory } };
+        ({ monitor } = createMonitor(settings));
+        jest.spyOn(monitor, 'getGlobalState').mockReturnValue({ ...state, metrics: {}, clusters });
+        server = await listen(createApp({ config: settings, monitor, registry: {} }));
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await monitor.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('negotiates the format from the Accept header', async () => {
+        const json = await fetch(`${server.url}/metrics`);
+        expect(json.headers.get('content-type')).toMatch('application/json');
+        expect((await json.json()).totalApps).toBe(2);
+
+        const prometheus = await fetch(`${server.url}/metrics`, { headers: { Accept: 'text/plain; version=0.0.4' } });
+        expect(prometheus.headers.get('content-type')).toMatch(/^text\/plain;.*version=0\.0\.4/);
+        expect(await prometheus.text()).toContain('argovisor_refreshes_total 0');
+
+        const openmetrics = await fetch(`${server.url}/metrics`, {
+            headers: { Accept: 'application/openmetrics-text; version=1.0.0,text/plain;version=0.0.4;q=0.5' }
+        });
+        expect(openmetrics.headers.get('content-type')).toMatch('application/openmetrics-text');
+        expect(await openmetrics.text()).toMatch(/# EOF\n$/);
+    });
+
+    test('answers an unknown format with a 400', async () => {
+        for (const query of ['format=xml', 'format=prometheus&format=json']) {
+            const response = await fetch(`${server.url}/metrics?${query}`);
+            expect(response.status).toBe(400);
+        }
+        expect((await fetch(`${server.url}/metrics?format=prometheus`)).status).toBe(200);
+    });
+});
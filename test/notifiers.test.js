@@ -0,0 +1,137 @@
+// test/notifiers.test.js
+
+const { createNotifiers } = require('../src/notifiers');
+const { quiet } = require('./helpers');
+
+const CLUSTER_URL = 'https://argocd.example.com';
+
+const firing = {
+    event: 'alert',
+    rule: 'default',
+    severity: 'critical',
+    cluster: 'prod',
+    clusterUrl: CLUSTER_URL,
+    timestamp: '2024-05-15T10:00:00.000Z',
+    apps: [
+        {
+            name: 'web',
+            alertId: 'a1',
+            healthStatus: 'Degraded',
+            syncStatus: 'Synced',
+            reasons: [{ kind: 'health', reason: 'Degraded' }],
+            resources: [{ kind: 'Deployment', namespace: 'shop', name: 'web', health: 'Degraded', message: 'exceeded its progress deadline' }]
+        },
+        {
+            name: 'api',
+            alertId: 'a2',
+            healthStatus: 'Healthy',
+            syncStatus: 'Synced',
+            reasons: [{ kind: 'operation', reason: 'SyncFailed', message: 'one or more objects failed to apply' }]
+        }
+    ]
+};
+
+const recovery = { ...firing, event: 'recovery', apps: [firing.apps[0]] };
+
+const channel = (type, options = {}) => {
+    const httpClient = { post: jest.fn().mockResolvedValue({}) };
+    const [notifier] = createNotifiers([{ name: type, type, ...options }], httpClient, { argovisorUrl: 'http://argovisor' });
+    return { notifier, post: httpClient.post };
+};
+
+describe('createNotifiers', () => {
+    beforeEach(quiet);
+
+    test('skips channels of unknown types or without their settings', () => {
+        const notifiers = createNotifiers([
+            { name: 'chat', type: 'irc' },
+            { name: 'slack', type: 'slack' },
+            { name: 'hook', type: 'webhook', url: 'https://hooks.example.com' }
+        ], {});
+        expect(notifiers.map(notifier => notifier.name)).toEqual(['hook']);
+        expect(console.error).toHaveBeenCalledWith('Notification channel slack skipped - Notification channel slack requires a webhookUrl');
+    });
+});
+
+describe('notifier payloads', () => {
+    test('Slack groups the applications and links ArgoCD and ArgoVisor', async () => {
+        const { notifier, post } = channel('slack', { webhookUrl: 'https://hooks.slack.com/x' });
+        await notifier.send(firing);
+
+        const [url, { blocks }] = post.mock.calls[0];
+        expect(url).toBe('https://hooks.slack.com/x');
+        expect(blocks[0].text.text.split('\n')).toEqual([
+            ':argo: *prod* :argo:',
+            '',
+            'Applications requiring attention (critical):',
+            '',
+            '*Degraded:*',
+            `• <${CLUSTER_URL}/applications/web|web>: Degraded`,
+            '    ◦ Deployment shop/web: Degraded - exceeded its progress deadline',
+            '',
+            '*Errors:*',
+            `• <${CLUSTER_URL}/applications/api|api>: SyncFailed`,
+            '    ◦ SyncFailed: one or more objects failed to apply'
+        ]);
+        expect(blocks[1].elements.map(button => button.url)).toEqual([CLUSTER_URL, 'http://argovisor']);
+
+        await notifier.send(recovery);
+        expect(post.mock.calls[1][1].blocks).toHaveLength(1);
+        expect(post.mock.calls[1][1].blocks[0].text.text).toContain('Recovered applications:');
+    });
+
+    test('webhooks post the alert with a title and a plain text rendering', async () => {
+        const { notifier, post } = channel('webhook', { url: 'https://hooks.example.com', headers: { 'X-Token': 'secret' } });
+        await notifier.send(firing);
+
+        const [url, body, options] = post.mock.calls[0];
+        expect(url).toBe('https://hooks.example.com');
+        expect(body).toMatchObject({ cluster: 'prod', rule: 'default', title: '[CRITICAL] prod: 2 applications requiring attention' });
+        expect(body.text).toContain(`- web: Degraded (${CLUSTER_URL}/applications/web)`);
+        expect(options).toEqual({ headers: { 'X-Token': 'secret' } });
+    });
+
+    test('Teams cards are red while firing and green once resolved', async () => {
+        const { notifier, post } = channel('teams', { webhookUrl: 'https://outlook.office.com/webhook/x' });
+        await notifier.send(firing);
+        await notifier.send(recovery);
+
+        const [[, alertCard], [, recoveryCard]] = post.mock.calls;
+        expect(alertCard).toMatchObject({ '@type': 'MessageCard', themeColor: 'D00000', title: '[CRITICAL] prod: 2 applications requiring attention' });
+        expect(alertCard.sections.map(section => section.activityTitle)).toEqual(['Degraded', 'Errors']);
+        expect(alertCard.potentialAction.map(action => action.targets[0].uri)).toEqual([CLUSTER_URL, 'http://argovisor']);
+        expect(recoveryCard).toMatchObject({ themeColor: '2EB886', title: 'prod: 1 applications recovered' });
+    });
+
+    test('PagerDuty triggers and resolves one incident per application', async () => {
+        const { notifier, post } = channel('pagerduty', { routingKey: 'key' });
+        await notifier.send(firing);
+
+        expect(post).toHaveBeenCalledTimes(2);
+        const [url, event] = post.mock.calls[0];
+        expect(url).toBe('https://events.pagerduty.com/v2/enqueue');
+        expect(event).toMatchObject({
+            routing_key: 'key',
+            event_action: 'trigger',
+            dedup_key: 'argovisor-prod-web-default',
+            payload: { summary: '[prod] web: Degraded', severity: 'critical', component: 'web', group: 'prod' },
+            links: [{ href: `${CLUSTER_URL}/applications/web`, text: 'ArgoCD' }]
+        });
+
+        await notifier.send(recovery);
+        expect(post.mock.calls[2][1]).toEqual({ routing_key: 'key', event_action: 'resolve', dedup_key: 'argovisor-prod-web-default' });
+        expect(notifier.accepts({ event: 'report' })).toBe(false);
+    });
+
+    test('email sends the plain text rendering', async () => {
+        const { notifier } = channel('email', { host: 'smtp.example.com', from: 'argovisor@example.com', to: 'ops@example.com' });
+        const sendMail = jest.spyOn(notifier.transport, 'sendMail').mockResolvedValue({});
+        await notifier.send(firing);
+
+        expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'ops@example.com',
+            subject: '[ArgoVisor] [CRITICAL] prod: 2 applications requiring attention'
+        }));
+        expect(sendMail.mock.calls[0][0].text).toContain('    SyncFailed: one or more objects failed to apply');
+    });
+});
@@ -0,0 +1,123 @@
+// test/polling.test.js
+
+const fs = require('fs');
+const { ArgoVisor } = require('../src/services/ArgoVisor');
+const CircuitBreaker = require('../src/services/CircuitBreaker');
+const { retry, backoffDelay } = require('../src/utils/retry');
+const { quiet, temporaryDirectory } = require('./helpers');
+
+const transient = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+describe('retry', () => {
+    test('retries until the operation succeeds', async () => {
+        const operation = jest.fn()
+            .mockRejectedValueOnce(transient())
+            .mockRejectedValueOnce(transient())
+            .mockResolvedValue('done');
+        const onRetry = jest.fn();
+
+        await expect(retry(operation, { retries: 2, baseDelay: 1, onRetry })).resolves.toBe('done');
+        expect(operation.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2]);
+        expect(onRetry.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+    });
+
+    test('gives up when the retries are used up or the error is not worth retrying', async () => {
+        const failing = jest.fn().mockRejectedValue(transient());
+        await expect(retry(failing, { retries: 1, baseDelay: 1 })).rejects.toThrow('socket hang up');
+        expect(failing).toHaveBeenCalledTimes(2);
+
+        const refused = jest.fn().mockRejectedValue(new Error('Forbidden'));
+        await expect(retry(refused, { retries: 3, shouldRetry: error => error.code === 'ECONNRESET' })).rejects.toThrow('Forbidden');
+        expect(refused).toHaveBeenCalledTimes(1);
+    });
+
+    test('backs off exponentially with jitter up to the maximum delay', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+        expect([0, 1, 2, 3, 10].map(attempt => backoffDelay(attempt, { baseDelay: 500, maxDelay: 3000 })))
+            .toEqual([500, 1000, 2000, 3000, 3000]);
+        Math.random.mockReturnValue(0);
+        expect(backoffDelay(3)).toBe(0);
+        Math.random.mockRestore();
+    });
+});
+
+describe('CircuitBreaker', () => {
+    test('opens after the threshold and lets a trial poll through after the cooldown', () => {
+        const breaker = new CircuitBreaker({ threshold: 2, cooldown: 1000, maxCooldown: 3000 });
+        breaker.recordFailure(0);
+        expect(breaker.allowRequest(0)).toBe(true);
+        breaker.recordFailure(0);
+        expect(breaker.allowRequest(999)).toBe(false);
+        expect(breaker.describe()).toMatchObject({ state: 'open', failures: 2, retryAt: new Date(1000).toISOString() });
+
+        expect(breaker.allowRequest(1000)).toBe(true);
+        expect(breaker.state).toBe('half-open');
+        expect(breaker.allowRequest(1000)).toBe(false);
+    });
+
+    test('doubles the cooldown after failed trials and closes on success', () => {
+        const breaker = new CircuitBreaker({ threshold: 1, cooldown: 1000, maxCooldown: 3000 });
+        breaker.recordFailure(0);
+        [2000, 3000, 3000].reduce((now, cooldown) => {
+            expect(breaker.allowRequest(now + breaker.cooldown)).toBe(true);
+            breaker.recordFailure(now + breaker.cooldown);
+            expect(breaker.cooldown).toBe(cooldown);
+            return breaker.openedAt;
+        }, 0);
+
+        breaker.allowRequest(breaker.openedAt + breaker.cooldown);
+        breaker.recordSuccess();
+        expect(breaker.describe()).toEqual({ state: 'closed', failures: 0, openedAt: null, retryAt: null });
+        expect(breaker.cooldown).toBe(1000);
+    });
+
+    test('never opens with a threshold of 0', () => {
+        const breaker = new CircuitBreaker({ threshold: 0 });
+        for (let i = 0; i < 20; i++) breaker.recordFailure();
+        expect(breaker.allowRequest()).toBe(true);
+    });
+});
+
+describe('poll deadline', () => {
+    const directory = temporaryDirectory();
+    let monitor;
+    let signals;
+
+    // Requests to the given paths only end when they are aborted
+    const hanging = paths => jest.spyOn(monitor, 'requestCluster').mockImplementation((cluster, method, path, { signal }) => {
+        signals.push(signal);
+        if (!paths.includes(path)) return Promise.resolve({ items: [] });
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    });
+
+    beforeEach(() => {
+        quiet();
+        monitor = new ArgoVisor({
+            prod: { url: 'https://argocd.example.com', username: 'admin', password: 'secret' }
+        }, null, { history: { directory }, polling: { deadline: 50 } });
+        signals = [];
+    });
+
+    afterEach(() => monitor.stop());
+    afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('fails a poll whose applications were not listed in time and aborts its requests', async () => {
+        hanging(['/api/v1/applications']);
+
+        await expect(monitor.pollWithDeadline('prod', monitor.clusters.prod))
+            .rejects.toMatchObject({ code: 'ETIMEDOUT', message: 'Poll did not finish within 50ms' });
+        expect(signals.every(signal => signal.aborted)).toBe(true);
+        expect(monitor.globalCache.get('snapshot_prod')).toBeUndefined();
+    });
+
+    test('keeps a poll whose applications were listed when only the other lists run late', async () => {
+        hanging(['/api/v1/projects']);
+
+        const result = await monitor.pollWithDeadline('prod', monitor.clusters.prod);
+
+        expect(result).toMatchObject({ name: 'prod', applications: [], projects: [], applicationSets: [] });
+        expect(result.health.reachable).toBe(true);
+        expect(signals.every(signal => signal.aborted)).toBe(true);
+        expect(monitor.globalCache.get('snapshot_prod')).toBeDefined();
+    });
+});
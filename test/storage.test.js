@@ -0,0 +1,186 @@
+// test/storage.test.js
+
+const fs = require('fs');
+const path = require('path');
+const FileStorage = require('../src/storage/FileStorage');
+const MemoryStorage = require('../src/storage/MemoryStorage');
+const PersistedMap = require('../src/storage/PersistedMap');
+const LeaderElector = require('../src/services/LeaderElector');
+const { createStorage } = require('../src/storage');
+const { quiet, temporaryDirectory } = require('./helpers');
+
+describe('FileStorage', () => {
+    let directory;
+
+    beforeEach(() => {
+        quiet();
+        directory = temporaryDirectory();
+    });
+
+    afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('instances sharing a directory keep each other\'s writes', async () => {
+        const first = new FileStorage({ directory });
+        const second = new FileStorage({ directory });
+        await first.get('warm-up');
+        await second.get('warm-up');
+
+        await Promise.all([
+            ...Array.from({ length: 5 }, (_, index) => first.set(`first-${index}`, { index })),
+            ...Array.from({ length: 5 }, (_, index) => second.set(`second-${index}`, { index }))
+        ]);
+        expect(await new FileStorage({ directory }).list('')).toHaveLength(10);
+        expect(await first.get('second-4')).toEqual({ index: 4 });
+        expect(fs.readdirSync(directory)).toEqual(['state.json']);
+    });
+
+    test('waits for a mutex held by another instance', async () => {
+        const storage = new FileStorage({ directory });
+        const mutex = path.join(directory, 'state.mutex');
+        fs.mkdirSync(mutex);
+        setTimeout(() => fs.rmdirSync(mutex), 100);
+
+        await storage.set('web', { status: 'Healthy' });
+        expect(await storage.get('web')).toEqual({ status: 'Healthy' });
+    });
+
+    test('gives up on a held mutex and takes over one older than 10s', async () => {
+        const storage = new FileStorage({ directory });
+        const mutex = path.join(directory, 'state.mutex');
+        fs.mkdirSync(mutex);
+        await expect(storage.set('web', {})).rejects.toThrow(`${mutex} is held by another instance`);
+
+        const abandoned = new Date(Date.now() - 11000);
+        fs.utimesSync(mutex, abandoned, abandoned);
+        await storage.set('web', {});
+        expect(fs.existsSync(mutex)).toBe(false);
+    });
+
+    test('appends, reads and replaces logs, skipping broken lines', async () => {
+        const storage = new FileStorage({ directory, logs: { history: path.join(directory, 'logs', 'history.jsonl') } });
+        await storage.appendLog('history', [{ id: 1 }, { id: 2 }]);
+        fs.appendFileSync(path.join(directory, 'logs', 'history.jsonl'), '{"id":\n');
+        expect(await storage.readLog('history')).toEqual([{ id: 1 }, { id: 2 }]);
+
+        await storage.replaceLog('history', [{ id: 3 }]);
+        expect(await storage.readLog('history')).toEqual([{ id: 3 }]);
+        expect(await storage.readLog('audit')).toEqual([]);
+    });
+
+    test('grants a lock to one owner until it expires or is released', async () => {
+        const first = new FileStorage({ directory });
+        const second = new FileStorage({ directory });
+
+        expect(await first.acquireLock('poller', 'a', 60000)).toBe(true);
+        expect(await second.acquireLock('poller', 'b', 60000)).toBe(false);
+        await first.releaseLock('poller', 'a');
+        expect(await second.acquireLock('poller', 'b', 1)).toBe(true);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(await first.acquireLock('poller', 'a', 60000)).toBe(true);
+    });
+});
+
+describe('PersistedMap', () => {
+    beforeEach(quiet);
+
+    test('writes only changed and deleted records', async () => {
+        const storage = new MemoryStorage();
+        const records = new PersistedMap(storage, 'alert:');
+        records.set('a', { id: 'a', count: 1 });
+        records.set('b', { id: 'b', count: 1 });
+        await records.flush();
+
+        const set = jest.spyOn(storage, 'set');
+        const remove = jest.spyOn(storage, 'delete');
+        records.get('a').count = 2;
+        records.touch('a');
+        records.delete('b');
+        await records.flush();
+
+        expect(set.mock.calls).toEqual([['alert:a', { id: 'a', count: 2 }]]);
+        expect(remove.mock.calls).toEqual([['alert:b']]);
+        await records.flush();
+        expect(set).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps failed writes for the next flush', async () => {
+        const storage = new MemoryStorage();
+        const records = new PersistedMap(storage, 'alert:');
+        records.set('a', { id: 'a' });
+        jest.spyOn(storage, 'set').mockRejectedValueOnce(new Error('disk full'));
+
+        await records.flush();
+        expect(await storage.list('alert:')).toEqual([]);
+        await records.flush();
+        expect(await storage.list('alert:')).toEqual([{ id: 'a' }]);
+    });
+
+    test('loads stored records without losing unflushed changes', async () => {
+        const storage = new MemoryStorage();
+        await storage.set('alert:a', { id: 'a', count: 1 });
+        await storage.set('alert:b', { id: 'b', count: 1 });
+        await storage.set('alert:c', { id: 'c', count: 1 });
+
+        const records = new PersistedMap(storage, 'alert:');
+        records.set('a', { id: 'a', count: 5 });
+        records.delete('b');
+        await records.load();
+
+        expect([...records.values()]).toEqual([{ id: 'a', count: 5 }, { id: 'c', count: 1 }]);
+    });
+});
+
+describe('LeaderElector', () => {
+    beforeEach(quiet);
+    afterEach(() => jest.restoreAllMocks());
+
+    test('one instance leads, renews its lease and is replaced once it expires', async () => {
+        const storage = new MemoryStorage();
+        const first = new LeaderElector(storage, { id: 'first', leaseMs: 30000 });
+        const second = new LeaderElector(storage, { id: 'second', leaseMs: 30000 });
+        const now = Date.now();
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        expect(await first.check()).toBe(true);
+        expect(await second.check()).toBe(false);
+
+        clock.mockReturnValue(now + 20000);
+        expect(await first.check()).toBe(true);
+        clock.mockReturnValue(now + 40000);
+        expect(await second.check()).toBe(false);
+
+        clock.mockReturnValue(now + 51000);
+        expect(await second.check()).toBe(true);
+        expect(await first.check()).toBe(false);
+        expect(first.isLeader).toBe(false);
+    });
+
+    test('hands the lease over on stop and loses it when the storage fails', async () => {
+        const storage = new MemoryStorage();
+        const first = new LeaderElector(storage, { id: 'first' });
+        const second = new LeaderElector(storage, { id: 'second' });
+
+        await first.check();
+        await first.stop();
+        expect(await second.check()).toBe(true);
+
+        jest.spyOn(storage, 'acquireLock').mockRejectedValue(new Error('connection refused'));
+        expect(await second.check()).toBe(false);
+    });
+});
+
+describe('createStorage', () => {
+    beforeEach(quiet);
+
+    test('defaults to memory and refuses unknown backends', () => {
+        const directory = temporaryDirectory();
+        try {
+            expect(createStorage()).toBeInstanceOf(MemoryStorage);
+            expect(createStorage({ backend: 'file', directory })).toMatchObject({ type: 'file', directory });
+            expect(() => createStorage({ backend: 'mongo' }))
+                .toThrow('Unknown storage backend mongo; use one of memory, file, sqlite, redis');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
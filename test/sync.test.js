@@ -0,0 +1,66 @@
+// test/sync.test.js
+
+const fs = require('fs');
+const config = require('../config/config');
+const { ArgoVisor } = require('../src/services/ArgoVisor');
+const { createApp } = require('../src/services/ArgoVisorApi');
+const { quiet, temporaryDirectory, listen, application, clusterResult } = require('./helpers');
+
+describe('cluster syncs', () => {
+    const directory = temporaryDirectory();
+    let monitor;
+    let synced;
+
+    beforeEach(() => {
+        quiet();
+        monitor = new ArgoVisor({
+            prod: { url: 'https://argocd.example.com', username: 'admin', password: 'secret' }
+        }, null, { history: { directory } });
+        synced = [];
+        jest.spyOn(monitor, 'getGlobalState').mockReturnValue({
+            clusters: [clusterResult('prod', [application('web', 'Healthy', 'OutOfSync'), application('api')])]
+        });
+        jest.spyOn(monitor, 'requestCluster').mockImplementation(async (cluster, method, path, { data }) => {
+            synced.push({ path, data });
+            return { status: { operationState: { phase: 'Running' } } };
+        });
+        jest.spyOn(monitor, 'updateCachedApplication').mockImplementation(() => {});
+    });
+
+    afterEach(() => monitor.stop());
+    afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('sync the OutOfSync applications unless told otherwise', async () => {
+        expect(await monitor.syncCluster('prod')).toEqual([{ application: 'web', success: true, phase: 'Running' }]);
+        expect((await monitor.syncCluster('prod', { all: true })).map(outcome => outcome.application)).toEqual(['web', 'api']);
+        expect((await monitor.syncCluster('prod', { applications: ['api'] })).map(outcome => outcome.application)).toEqual(['api']);
+    });
+
+    test('apply a revision only to the listed applications', async () => {
+        await monitor.syncCluster('prod', { applications: ['api'], revision: 'v2', prune: true });
+        expect(synced).toEqual([{
+            path: '/api/v1/applications/api/sync',
+            data: { prune: true, dryRun: false, revision: 'v2' }
+        }]);
+
+        await expect(monitor.syncCluster('prod', { revision: 'v2' })).rejects.toMatchObject({ status: 400 });
+        await expect(monitor.syncCluster('prod', { all: true, resources: [] })).rejects.toMatchObject({ status: 400 });
+        expect(synced).toHaveLength(1);
+    });
+
+    test('answer a malformed application list with a 400', async () => {
+        const server = await listen(createApp({ config: { ...config, auth: { ...config.auth, disabled: true } }, monitor, registry: {} }));
+        try {
+            const response = await fetch(`${server.url}/clusters/prod/sync`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ applications: 'web' })
+            });
+            expect(response.status).toBe(400);
+            expect(await response.json()).toEqual({ error: 'applications must be an array of application names' });
+        } finally {
+            await server.close();
+        }
+        expect(synced).toHaveLength(0);
+    });
+});
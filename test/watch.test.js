@@ -0,0 +1,71 @@
+// test/watch.test.js
+
+const fs = require('fs');
+const { ArgoVisor } = require('../src/services/ArgoVisor');
+const { quiet, temporaryDirectory } = require('./helpers');
+
+// An application as ArgoCD lists it
+const argoApp = (name, resourceVersion, health = 'Healthy') => ({
+    metadata: { name, resourceVersion: String(resourceVersion) },
+    spec: { project: 'default', destination: {} },
+    status: { health: { status: health }, sync: { status: 'Synced' } }
+});
+
+describe('watch events during a full list', () => {
+    const directory = temporaryDirectory();
+    let monitor;
+    let cluster;
+
+    const cached = () => monitor.cachedApplicationLists('prod')[0]
+        .map(app => `${app.name}@${app.metadata.resourceVersion}:${app.healthStatus}`);
+
+    beforeEach(() => {
+        quiet();
+        monitor = new ArgoVisor({
+            prod: { url: 'https://argocd.example.com', username: 'admin', password: 'secret' }
+        }, null, { history: { directory } });
+        cluster = monitor.clusters.prod;
+    });
+
+    afterEach(() => monitor.stop());
+    afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    // The list request answers with `items` after the given events arrived from the stream
+    const listing = (items, events) => jest.spyOn(monitor, 'requestCluster').mockImplementation(async (target, method, path) => {
+        if (path !== '/api/v1/applications') return { items: [] };
+        events.forEach(event => monitor.applyWatchEvent('prod', event));
+        return { items };
+    });
+
+    test('are applied again to the list that was requested before them', async () => {
+        listing([argoApp('web', 10), argoApp('api', 10), argoApp('old', 10)], [
+            { type: 'MODIFIED', application: argoApp('web', 11, 'Degraded') },
+            { type: 'ADDED', application: argoApp('worker', 12) },
+            { type: 'DELETED', application: argoApp('old', 13) }
+        ]);
+
+        const result = await monitor.processCluster('prod', cluster);
+
+        expect(cached()).toEqual(['web@11:Degraded', 'api@10:Healthy', 'worker@12:Healthy']);
+        expect(result.applications).toBe(monitor.cachedApplicationLists('prod')[0]);
+        expect(monitor.pendingEvents.prod).toBeUndefined();
+    });
+
+    test('do not replace newer copies from the list', async () => {
+        listing([argoApp('web', 20)], [{ type: 'MODIFIED', application: argoApp('web', 15, 'Degraded') }]);
+
+        await monitor.processCluster('prod', cluster);
+
+        expect(cached()).toEqual(['web@20:Healthy']);
+    });
+
+    test('are applied once and no longer kept after the list', async () => {
+        listing([argoApp('web', 10)], []);
+        await monitor.processCluster('prod', cluster);
+
+        monitor.applyWatchEvent('prod', { type: 'MODIFIED', application: argoApp('web', 11, 'Progressing') });
+
+        expect(cached()).toEqual(['web@11:Progressing']);
+        expect(monitor.pendingEvents.prod).toBeUndefined();
+    });
+});